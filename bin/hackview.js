@@ -7,16 +7,18 @@ const fs = require('fs');
 const minimist = require('minimist');
 
 const argv = minimist(process.argv.slice(2), {
-  string: ['dirs', 'config'],
-  number: ['sessions', 'budget'],
-  boolean: ['help', 'version'],
+  string: ['dirs', 'config', 'pin', 'format', 'out', 'verbosity', 'hide', 'alert-at', 'session-alert-at', 'alert-command', 'theme', 'layout', 'timezone', 'history', 'include', 'exclude', 'connect', 'host', 'port', 'token'],
+  number: ['sessions', 'budget', 'speed', 'max-gap', 'max-depth'],
+  boolean: ['help', 'version', 'instant', 'json', 'thinking', 'relative-time'],
   alias: {
     h: 'help',
     v: 'version',
     d: 'dirs',
     s: 'sessions',
     c: 'config',
+    p: 'pin',
     b: 'budget',
+    o: 'out',
   },
   default: {
     sessions: 2,
@@ -40,13 +42,54 @@ if (argv.help) {
   ╚═╝  ╚═╝╚═╝  ╚═╝ ╚═════╝╚═╝  ╚═╝  ╚═══╝  ╚═╝╚══════╝ ╚══╝╚══╝
 
   Usage: hackview [options]
+         hackview replay <file.jsonl> [--speed <x>] [--instant] [--max-gap <sec>]
+         hackview events [options]        (same as --json)
+         hackview export <session> [--format md|html] [--thinking] [-o <file>]
+         hackview serve [--port <n>] [--host <addr>] [--token <secret>] [options]
+         hackview --connect <host:port> [--token <secret>] [options]
 
   Options:
     -d, --dirs <dirs>        Comma-separated list of .claude/projects dirs to watch
                              Default: ~/.claude/projects
+    --max-depth <n>          Directory levels searched below each dir (default: 2)
+    --include <globs>        Only take projects matching these globs (e.g. "*work*")
+    --exclude <globs>        Skip projects matching these globs (e.g. archive)
     -s, --sessions <n>       Number of session panels to show (default: 2)
     -b, --budget <dollars>   Session budget in USD (default: 40)
+    --json                   Print events as NDJSON on stdout instead of the TUI
+    --alert-at <pcts>        Alert at these % of the budget (default: 80,100; "off")
+    --session-alert-at <usd> Alert when a shown session's cost passes these amounts
+    --alert-command <cmd>    Also run this shell command on an alert
+                             (message in $HACKVIEW_ALERT)
+    --theme <name>           Colour theme: matrix, amber, cyan, high-contrast, light,
+                             monochrome or one defined in the config (NO_COLOR is honoured)
+    --layout <mode>          Panel layout: vertical, columns or grid; add ",compact" (or
+                             use "compact" alone) to drop the CPU/MEM/NET/SYS row
+    --timezone <tz>          Show times in this IANA timezone (e.g. UTC, Europe/Berlin)
+                             instead of local time
+    --relative-time          Show line times as ages ("3m ago")
+    --history <depth>        History shown per session: n events (default: 100) or
+                             "n turns"; 'm' loads as many again
     -c, --config <file>      Path to config JSON file
+    -p, --pin <n>=<target>   Pin panel n to a session id, .jsonl path or project slug
+                             (repeatable; "project:<slug>" = newest in that project)
+    --verbosity [<n>=]<preset>
+                             everything, conversation or tools; all panels or panel n
+    --hide [<n>=]<types>     Hide event types (session-start,user,thinking,text,
+                             tool_use,complete); all panels or panel n. Repeatable
+    --speed <x>              Replay: playback speed multiplier (default: 1)
+    --instant                Replay: load the whole log at once
+    --max-gap <sec>          Replay: squeeze idle gaps longer than this
+    --format <md|html>       Export: output format (default: md)
+    --thinking               Export: include thinking blocks
+    -o, --out <file>         Export: write to a file instead of stdout
+    --port <n>               Serve: port to listen on (default: 7350)
+    --host <addr>            Serve: address to listen on (default: 127.0.0.1;
+                             0.0.0.0 for every interface)
+    --connect <host:port>    Show the sessions of a \`hackview serve\` host instead of
+                             local ones (panel count comes from the server)
+    --token <secret>         Serve: require this token; connect: send it
+                             (or set HACKVIEW_TOKEN)
     -v, --version            Show version
     -h, --help               Show this help
 
@@ -54,16 +97,57 @@ if (argv.help) {
     hackview
     hackview --dirs ~/.claude/projects/-Users-gon
     hackview --dirs ~/.claude/projects/-Users-gon,-Users-gon-work --sessions 3
+    hackview --exclude archive --include "*work*"
     hackview --budget 80
     hackview --sessions 1
+    hackview --pin 1=3f2a9c1e --pin 2=project:-Users-gon-work
+    hackview --hide thinking --verbosity 2=tools
+    hackview --theme light
+    hackview --sessions 4 --layout grid,compact
+    hackview --timezone UTC --relative-time
+    hackview --history "3 turns"
+    hackview replay ~/.claude/projects/-Users-gon/3f2a9c1e.jsonl --speed 4
+    hackview events --sessions 1 | jq 'select(.type == "tool_use")'
+    hackview export 3f2a9c1e --format html -o session.html
+    HACKVIEW_TOKEN=s3cret hackview serve --host 0.0.0.0 --sessions 4
+    HACKVIEW_TOKEN=s3cret hackview --connect devbox:7350 --layout grid
 
   Config file format (~/.hackview.json):
     {
       "dirs": ["~/.claude/projects/-Users-gon"],
+      "maxDepth": 2, "include": ["*work*"], "exclude": ["archive"],
       "sessions": 2,
-      "budget": 40
+      "budget": 40,
+      "panels": ["3f2a9c1e", { "project": "-Users-gon-work" }],
+      "verbosity": ["everything", "tools"],
+      "hide": ["thinking"],
+      "alerts": { "block": [80, 100], "session": [5, 20], "command": "notify-send hackview \"$HACKVIEW_ALERT\"" },
+      "hooks": { "complete": "notify-send done \"$HACKVIEW_PROJECT\"", "stalled": { "command": "...", "after": 120 } },
+      "layout": "columns",
+      "timezone": "Europe/Berlin",
+      "relativeTime": false,
+      "history": "200 events",
+      "theme": "mine",
+      "themes": { "mine": { "extends": "amber", "tool": "#ff00ff", "basic": { "tool": "magenta" } } }
     }
 
+  Hooks (complete, tool-error, tool:<Name>, budget, stalled, new-session) get the
+  event as JSON on stdin and in HACKVIEW_* env vars; options: timeout (s, default 10),
+  limit (runs/min, default 10), after (stalled: idle seconds, default 300).
+
+  Keys:
+    Tab / 1-9                Focus session panel
+    j/k, PgUp/PgDn, g/G      Scroll focused panel (G resumes follow)
+    f                        Toggle follow (auto-scroll)
+    v / t                    Cycle verbosity preset / toggle event types
+    / , n/N, Esc             Search focused panel (text, /regex/, type:tool), next/prev, clear
+    Enter                    Select a line; Enter again shows its full detail
+    p / r                    Pick a session for focused panel / release it
+    m                        Load more history into focused panel
+    e / E                    Export focused session to Markdown / HTML
+    L / H                    Cycle panel layout / toggle compact header
+    space, s, ←/→, +/-       Replay: pause, step, seek 30s, speed up/down
+
   Press Ctrl+C or 'q' to quit.
 `);
   process.exit(0);
@@ -71,7 +155,19 @@ if (argv.help) {
 
 // Load config file
 let configDirs = [];
+let configDiscovery = {};
 let configSessions = null;
+let configPanels = [];
+let configVerbosity = null;
+let configHide = [];
+let configAlerts = {};
+let configHooks = null;
+let configLayout = null;
+let configTimezone = null;
+let configRelativeTime = false;
+let configHistory = null;
+let configTheme = null;
+let configThemes = {};
 
 const configPaths = [
   argv.config,
@@ -83,8 +179,20 @@ for (const cfgPath of configPaths) {
   try {
     const cfg = JSON.parse(fs.readFileSync(cfgPath, 'utf8'));
     if (cfg.dirs) configDirs = Array.isArray(cfg.dirs) ? cfg.dirs : [cfg.dirs];
+    configDiscovery = { maxDepth: cfg.maxDepth, include: cfg.include, exclude: cfg.exclude };
     if (cfg.sessions) configSessions = cfg.sessions;
     if (cfg.budget) argv.budget = argv.budget === 40 ? cfg.budget : argv.budget;
+    if (Array.isArray(cfg.panels)) configPanels = cfg.panels;
+    if (cfg.verbosity) configVerbosity = cfg.verbosity;
+    if (Array.isArray(cfg.hide)) configHide = cfg.hide;
+    if (cfg.alerts && typeof cfg.alerts === 'object') configAlerts = cfg.alerts;
+    if (cfg.hooks) configHooks = cfg.hooks;
+    if (cfg.layout) configLayout = cfg.layout;
+    if (cfg.timezone) configTimezone = cfg.timezone;
+    if (cfg.relativeTime) configRelativeTime = true;
+    if (cfg.history) configHistory = cfg.history;
+    if (cfg.theme) configTheme = cfg.theme;
+    if (cfg.themes && typeof cfg.themes === 'object') configThemes = cfg.themes;
     break;
   } catch (e) {
     // not found or parse error, continue
@@ -112,39 +220,210 @@ if (argv.dirs) {
   dirs = [path.join(os.homedir(), '.claude', 'projects')];
 }
 
-// If dirs are top-level (contain subdirs with jsonl files), expand one level
-const expandedDirs = [];
-for (const d of dirs) {
-  try {
-    const stat = fs.statSync(d);
-    if (!stat.isDirectory()) continue;
-
-    const children = fs.readdirSync(d);
-    const hasJsonl = children.some(f => f.endsWith('.jsonl'));
-
-    if (hasJsonl) {
-      expandedDirs.push(d);
-    } else {
-      // Check if it's a parent of project dirs
-      const subDirs = children
-        .map(c => path.join(d, c))
-        .filter(c => {
-          try { return fs.statSync(c).isDirectory(); } catch (e) { return false; }
-        });
-
-      if (subDirs.length > 0) {
-        expandedDirs.push(...subDirs);
-      } else {
-        expandedDirs.push(d);
-      }
-    }
-  } catch (e) {
-    // Directory doesn't exist - still add it, watcher will handle
-    expandedDirs.push(d);
+// Discovery: how deep to search the dirs and which projects to take
+let discovery;
+try {
+  discovery = require('../src/sessions').parseDiscovery({
+    maxDepth: argv['max-depth'] !== undefined ? argv['max-depth'] : configDiscovery.maxDepth,
+    include: argv.include || configDiscovery.include,
+    exclude: argv.exclude || configDiscovery.exclude,
+  });
+} catch (e) {
+  console.error(`hackview: ${e.message}`);
+  process.exit(1);
+}
+
+// Panel pins: config "panels" array by position, then --pin n=<target> overrides
+const { parsePanelSpec } = require('../src/sessions');
+
+const panels = configPanels.map(parsePanelSpec);
+const pinArgs = argv.pin === undefined ? [] : [].concat(argv.pin);
+for (const arg of pinArgs) {
+  const m = String(arg).match(/^(\d+)=(.+)$/);
+  if (!m || Number(m[1]) < 1) {
+    console.error(`hackview: invalid --pin "${arg}" (expected <panel>=<session-id|path|project-slug>)`);
+    process.exit(1);
+  }
+  panels[Number(m[1]) - 1] = parsePanelSpec(m[2]);
+}
+
+const sessions = Math.max(argv.sessions || configSessions || 2, panels.length);
+
+// Event filters: a verbosity preset plus hidden types, for every panel or
+// "<n>=" one panel. Config first, then the command line
+const { resolveHidden } = require('../src/filters');
+
+const filterAll = { verbosity: null, hide: [] };
+const filterPanel = [];
+function addFilter(key, value) {
+  const m = String(value).match(/^(\d+)=(.*)$/);
+  if (m && Number(m[1]) < 1) {
+    console.error(`hackview: invalid --${key} "${value}" (panels are numbered from 1)`);
+    process.exit(1);
+  }
+  const i = m ? Number(m[1]) - 1 : -1;
+  if (i >= 0 && !filterPanel[i]) filterPanel[i] = { verbosity: null, hide: [] };
+  const target = i >= 0 ? filterPanel[i] : filterAll;
+  const v = m ? m[2] : String(value);
+  if (key === 'verbosity') target.verbosity = v;
+  else target.hide.push(...v.split(',').map(t => t.trim()).filter(Boolean));
+}
+
+if (Array.isArray(configVerbosity)) {
+  configVerbosity.forEach((v, i) => { if (v) addFilter('verbosity', `${i + 1}=${v}`); });
+} else if (configVerbosity) {
+  addFilter('verbosity', configVerbosity);
+}
+for (const t of configHide) addFilter('hide', t);
+for (const key of ['verbosity', 'hide']) {
+  for (const value of argv[key] === undefined ? [] : [].concat(argv[key])) addFilter(key, value);
+}
+
+// A remote view gets its panel count from the server: panels past these
+// take the all-panels filter
+const filters = [];
+let defaultFilter = [];
+try {
+  for (let i = 0; i < (argv.connect ? filterPanel.length : sessions); i++) {
+    const own = filterPanel[i] || { verbosity: null, hide: [] };
+    filters.push([...resolveHidden(own.verbosity || filterAll.verbosity, [...filterAll.hide, ...own.hide])]);
+  }
+  defaultFilter = [...resolveHidden(filterAll.verbosity, filterAll.hide)];
+} catch (e) {
+  console.error(`hackview: ${e.message}`);
+  process.exit(1);
+}
+
+// Export mode: render one session as a Markdown or HTML transcript and exit
+if (argv._[0] === 'export') {
+  const { listSessions, resolvePanelSpec } = require('../src/sessions');
+  const { exportSession } = require('../src/export');
+
+  const format = argv.format || 'md';
+  if (format !== 'md' && format !== 'html') {
+    console.error(`hackview: unknown export format "${format}" (expected md or html)`);
+    process.exit(1);
   }
+  const target = argv._[1] === undefined ? '' : String(argv._[1]);
+  const file = resolvePanelSpec(parsePanelSpec(target), listSessions(dirs, discovery));
+  if (!file || !fs.existsSync(file)) {
+    console.error(`hackview: no session matches "${target}" (expected a session id, .jsonl path or project slug)`);
+    process.exit(1);
+  }
+
+  const doc = exportSession(file, { format, thinking: argv.thinking });
+  if (argv.out) {
+    fs.writeFileSync(argv.out, doc);
+  } else {
+    process.stdout.write(doc);
+  }
+  process.exit(0);
+}
+
+// Replay mode: play a recorded log through the normal pipeline in one panel
+let replay = null;
+if (argv._[0] === 'replay') {
+  const target = argv._[1] ? String(argv._[1]) : '';
+  const file = target.startsWith('~') ? path.join(os.homedir(), target.slice(1)) : path.resolve(target);
+  if (!target || !fs.existsSync(file)) {
+    console.error('hackview: replay needs an existing .jsonl file (hackview replay <file.jsonl>)');
+    process.exit(1);
+  }
+  replay = {
+    file,
+    speed: argv.instant ? 0 : (argv.speed === undefined ? 1 : argv.speed),
+    maxGap: (argv['max-gap'] || 0) * 1000,
+  };
+}
+
+// Budget alerts: thresholds from the command line win over the config
+function parseThresholds(flag, value) {
+  if (value === 'off' || value === '') return [];
+  const list = String(value).split(',').map(v => Number(v.trim().replace(/[$%]/g, '')));
+  if (list.some(n => !Number.isFinite(n) || n <= 0)) {
+    console.error(`hackview: invalid --${flag} "${value}" (expected comma-separated numbers)`);
+    process.exit(1);
+  }
+  return list;
+}
+
+const alerts = {
+  block: argv['alert-at'] !== undefined ? parseThresholds('alert-at', argv['alert-at'])
+    : (Array.isArray(configAlerts.block) ? configAlerts.block : [80, 100]),
+  session: argv['session-alert-at'] !== undefined ? parseThresholds('session-alert-at', argv['session-alert-at'])
+    : (Array.isArray(configAlerts.session) ? configAlerts.session : []),
+  command: argv['alert-command'] || configAlerts.command || null,
+  bell: configAlerts.bell !== false,
+  flash: configAlerts.flash !== false,
+};
+
+// Event hooks: shell commands keyed by event in the config file
+let hooks = [];
+try {
+  hooks = require('../src/hooks').parseHooks(configHooks);
+} catch (e) {
+  console.error(`hackview: ${e.message}`);
+  process.exit(1);
+}
+
+// Theme: --theme wins over the config; NO_COLOR turns colour off whatever is set
+let theme;
+try {
+  theme = require('../src/theme').resolveTheme(argv.theme || configTheme || 'matrix', configThemes);
+} catch (e) {
+  console.error(`hackview: ${e.message}`);
+  process.exit(1);
+}
+
+// Layout: --layout wins over the config
+let layout;
+try {
+  layout = require('../src/layout').parseLayout(argv.layout || configLayout);
+} catch (e) {
+  console.error(`hackview: ${e.message}`);
+  process.exit(1);
+}
+
+// Line times: --timezone wins over the config; local time by default
+let timeFormat;
+try {
+  const { TimeFormat } = require('../src/time');
+  timeFormat = new TimeFormat({
+    timezone: argv.timezone || configTimezone,
+    relative: argv['relative-time'] || configRelativeTime,
+  });
+} catch (e) {
+  console.error(`hackview: ${e.message}`);
+  process.exit(1);
+}
+
+// History backfill depth: --history wins over the config
+let history;
+try {
+  history = require('../src/watcher').parseHistory(argv.history || configHistory || 100);
+} catch (e) {
+  console.error(`hackview: ${e.message}`);
+  process.exit(1);
 }
 
-const sessions = argv.sessions || configSessions || 2;
+// Server mode: run the watchers here and stream them to `--connect` clients;
+// remote mode: draw another host's stream instead of local files
+const token = argv.token || process.env.HACKVIEW_TOKEN || null;
+let serve = null;
+let connect = null;
+try {
+  const { parseAddress, parsePort } = require('../src/remote');
+  if (argv._[0] === 'serve') {
+    if (argv.connect !== undefined) throw new Error('serve and --connect cannot be combined');
+    serve = { host: argv.host || '127.0.0.1', port: parsePort(argv.port), token };
+  } else if (argv.connect !== undefined) {
+    if (replay) throw new Error('replay and --connect cannot be combined');
+    connect = { ...parseAddress(argv.connect), token };
+  }
+} catch (e) {
+  console.error(`hackview: ${e.message}`);
+  process.exit(1);
+}
 
 // Start the app
 const { HackviewApp } = require('../src/app');
@@ -152,9 +431,24 @@ const { HackviewApp } = require('../src/app');
 const budget = argv.budget || 40;
 
 const app = new HackviewApp({
-  dirs: expandedDirs.length > 0 ? expandedDirs : dirs,
-  sessions,
+  dirs,
+  discovery,
+  sessions: replay ? 1 : sessions,
   budget,
+  panels,
+  filters,
+  defaultFilter,
+  alerts,
+  hooks,
+  theme,
+  layout,
+  timeFormat,
+  history,
+  replay,
+  connect,
+  serve,
+  exportThinking: argv.thinking,
+  output: serve ? 'serve' : (argv.json || argv._[0] === 'events' ? 'json' : 'tui'),
 });
 
 process.on('uncaughtException', (e) => {
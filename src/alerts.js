@@ -0,0 +1,118 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { exec } = require('child_process');
+const { EventEmitter } = require('events');
+
+const DEFAULT_STATE_PATH = path.join(os.homedir(), '.hackview-alerts.json');
+const STATE_TTL_MS = 7 * 24 * 3600000; // forget fired alerts after a week
+const COMMAND_TIMEOUT_MS = 10000;
+
+/**
+ * Budget threshold alerts. Block thresholds are percentages of the budget,
+ * session thresholds are dollar amounts per session. Each threshold fires
+ * once per block (or day, without a block) and once per session; fired
+ * alerts are kept in a state file so restarts do not repeat them.
+ *
+ * Emits 'alert' { kind: 'block'|'session', threshold, cost, budget, pct, session, message }
+ */
+class BudgetAlerts extends EventEmitter {
+  constructor(opts = {}) {
+    super();
+    this.blockThresholds = [...(opts.block || [])].sort((a, b) => a - b);
+    this.sessionThresholds = [...(opts.session || [])].sort((a, b) => a - b);
+    this.command = opts.command || null;
+    this.statePath = opts.statePath || DEFAULT_STATE_PATH;
+    this.fired = this._load(); // key -> fired-at ms
+  }
+
+  /**
+   * Check block (or daily) spend: usage is budgetUsage() output
+   */
+  checkBudget(usage, block) {
+    const period = block && block.startTime
+      ? `block:${new Date(block.startTime).toISOString()}`
+      : `day:${new Date().toDateString()}`;
+    // Only the highest newly crossed threshold alerts; lower ones are marked too
+    const crossed = this.blockThresholds.filter(t => usage.pct >= t && !this.fired.has(`${period}:${t}`));
+    if (crossed.length === 0) return;
+    for (const t of crossed) this.fired.set(`${period}:${t}`, Date.now());
+    this._save();
+
+    const threshold = crossed[crossed.length - 1];
+    this._fire({
+      kind: 'block',
+      threshold,
+      cost: usage.cost,
+      budget: usage.budget,
+      pct: usage.pct,
+      session: null,
+      message: `${block ? 'Block' : 'Today\'s'} spend $${usage.cost.toFixed(2)} reached ${threshold}% of the $${usage.budget} budget`,
+    });
+  }
+
+  /**
+   * Check one session's running cost: totals is SessionWatcher 'usage' output
+   */
+  checkSession(sessionId, totals) {
+    const crossed = this.sessionThresholds.filter(t => totals.costUSD >= t && !this.fired.has(`session:${sessionId}:${t}`));
+    if (crossed.length === 0) return;
+    for (const t of crossed) this.fired.set(`session:${sessionId}:${t}`, Date.now());
+    this._save();
+
+    const threshold = crossed[crossed.length - 1];
+    this._fire({
+      kind: 'session',
+      threshold,
+      cost: totals.costUSD,
+      budget: null,
+      pct: null,
+      session: sessionId,
+      message: `Session ${sessionId.slice(0, 8)} cost $${totals.costUSD.toFixed(2)} passed $${threshold}`,
+    });
+  }
+
+  _fire(alert) {
+    this.emit('alert', alert);
+    if (!this.command) return;
+    const env = {
+      ...process.env,
+      HACKVIEW_ALERT: alert.message,
+      HACKVIEW_ALERT_KIND: alert.kind,
+      HACKVIEW_ALERT_THRESHOLD: String(alert.threshold),
+      HACKVIEW_ALERT_COST: alert.cost.toFixed(2),
+      HACKVIEW_ALERT_SESSION: alert.session || '',
+    };
+    try {
+      exec(this.command, { env, timeout: COMMAND_TIMEOUT_MS }, () => {});
+    } catch (e) {
+      // ignore
+    }
+  }
+
+  _load() {
+    const fired = new Map();
+    try {
+      const state = JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+      const cutoff = Date.now() - STATE_TTL_MS;
+      for (const [key, at] of Object.entries(state.fired || {})) {
+        if (at >= cutoff) fired.set(key, at);
+      }
+    } catch (e) {
+      // no state yet
+    }
+    return fired;
+  }
+
+  _save() {
+    try {
+      fs.writeFileSync(this.statePath, JSON.stringify({ fired: Object.fromEntries(this.fired) }, null, 2));
+    } catch (e) {
+      // ignore: alerts still work, they just may repeat after a restart
+    }
+  }
+}
+
+module.exports = { BudgetAlerts };
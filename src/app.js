@@ -1,76 +1,323 @@
 'use strict';
 
+const fs = require('fs');
 const path = require('path');
 const os = require('os');
 const { HackviewUI } = require('./ui');
+const { JsonOutput } = require('./json');
+const { RemoteServer, RemoteSource, PANEL_CALLS, formatAddress } = require('./remote');
 const { SessionWatcher } = require('./watcher');
-const { UsageMonitor } = require('./usage');
+const { UsageMonitor, extractUsageEntry, dedupeEntries, aggregateUsage, budgetUsage } = require('./usage');
+const { SessionRegistry, SessionSummaries, parseDiscovery } = require('./sessions');
+const { ReplayPlayer, loadTimeline } = require('./replay');
+const { parseRecord } = require('./parser');
+const { exportSession } = require('./export');
+const { BudgetAlerts } = require('./alerts');
+const { HookRunner } = require('./hooks');
+const { resolveTheme } = require('./theme');
+const { parseLayout } = require('./layout');
+const { TimeFormat } = require('./time');
 
 class HackviewApp {
   constructor(opts) {
     this.dirs = opts.dirs || [];
+    this.discovery = opts.discovery || parseDiscovery(); // { maxDepth, include, exclude }
     this.numSessions = opts.sessions || 2;
     this.usageInterval = opts.usageInterval || 60000;
     this.budget = opts.budget || 40;
     this.blockHours = opts.blockHours || 5;
+    this.replay = opts.replay || null; // { file, speed, maxGap }: play a recorded log instead of watching
+    this.exportThinking = opts.exportThinking || false;
+    this.filters = opts.filters || []; // per-panel event types to hide (see src/filters.js)
+    this.defaultFilter = opts.defaultFilter || []; // for panels past `filters` (remote views)
+    this.connect = opts.connect || null; // { host, port, token }: show a `hackview serve` host instead
+    this.alertOpts = opts.alerts || {}; // { block, session, command, bell, flash }: see BudgetAlerts
+    this.hooks = new HookRunner(opts.hooks || []); // parsed config hooks (see parseHooks)
+    this.theme = opts.theme || resolveTheme();
+    this.layout = opts.layout || parseLayout(); // { mode, compact }: see src/layout.js
+    this.timeFormat = opts.timeFormat || new TimeFormat();
+    this.history = opts.history || { count: 100, unit: 'events' }; // backfill depth (see parseHistory)
+    this.panels = []; // per-panel pin spec or null (see parsePanelSpec)
+    for (let i = 0; i < this.numSessions; i++) {
+      this.panels.push((opts.panels && opts.panels[i]) || null);
+    }
 
-    this.ui = new HackviewUI(this.numSessions, this.budget, this.blockHours);
+    // 'json' swaps the blessed screen for NDJSON on stdout and 'serve' for an
+    // HTTP event stream; the pipeline is the same. A remote view only learns
+    // its panel count from the server (see _startRemote)
+    this.ui = null;
+    if (opts.output === 'json') this.ui = new JsonOutput();
+    else if (opts.output === 'serve') this.ui = new RemoteServer(this.numSessions, opts.serve);
+    else if (!this.connect) this.ui = this._createUI();
+    this.registry = new SessionRegistry(this.dirs, this.discovery);
     this.watchers = [];
     this.usageMonitor = null;
+    this.summaries = new SessionSummaries();
+    this.player = null;
+    this.alerts = null;
+    this.source = null;
   }
 
-  start() {
-    // Initialize UI
+  _createUI() {
+    return new HackviewUI(this.numSessions, this.budget, this.blockHours, this.theme, this.layout, this.timeFormat);
+  }
+
+  _initUI() {
     this.ui.init();
+    for (let i = 0; i < this.numSessions; i++) {
+      const hidden = this.filters[i] || this.defaultFilter;
+      if (hidden.length > 0) this.ui.setHiddenTypes(i, hidden);
+    }
+  }
+
+  start() {
+    if (this.connect) {
+      this._startRemote();
+      return;
+    }
 
-    // Start session watchers
+    this._initUI();
+
+    this.ui.on('export', (sessionIndex, format) => this._exportSession(sessionIndex, format));
+
+    if (this.replay) {
+      this._startReplay();
+      return;
+    }
+
+    // Session picker: list everything, pin the choice to the panel. It opens
+    // with what is already known and fills in as logs are read
+    this.ui.on('picker', (sessionIndex) => {
+      const sessions = this.registry.sessions();
+      this.ui.showPicker(sessionIndex, this.summaries.summarizeAll(sessions));
+      this.summaries.refresh(sessions, (summaries) => this.ui.updatePicker(summaries));
+    });
+    this.ui.on('pick-session', (sessionIndex, file) => {
+      this.panels[sessionIndex] = { file };
+      this.ui.setPinned(sessionIndex, true);
+      this._assign();
+    });
+    this.ui.on('release-session', (sessionIndex) => {
+      this.panels[sessionIndex] = null;
+      this.ui.setPinned(sessionIndex, false);
+      this._assign();
+    });
+    // Page further back: the watcher replays a deeper history, shown from the top
+    this.ui.on('load-more', (sessionIndex) => {
+      const watcher = this.watchers[sessionIndex];
+      if (!watcher || !watcher.currentFile) return;
+      if (!watcher.loadMore()) {
+        this.ui.showMessage(sessionIndex, '⤒ start of session');
+        return;
+      }
+      this.ui.scrollSession(sessionIndex, -Infinity);
+      this.ui.showMessage(sessionIndex, `⤒ last ${watcher.depth} ${watcher.history.unit}`);
+    });
+
+    // Budget alerts (not in replay: recorded spend is not live spend)
+    this.alerts = new BudgetAlerts(this.alertOpts);
+    this.alerts.on('alert', (alert) => {
+      this.ui.alert(alert, { bell: this.alertOpts.bell, flash: this.alertOpts.flash });
+      this.hooks.handleAlert(alert);
+    });
+    this.hooks.start();
+
+    // Start session watchers; the registry decides which file each one follows
     for (let i = 0; i < this.numSessions; i++) {
       this._startWatcher(i);
     }
 
+    this.registry.on('change', () => this._assign());
+    this.registry.on('session-added', (session) => this.hooks.handleNewSession(session));
+    this.registry.start();
+    this._assign();
+
     // Start usage monitor
-    this.usageMonitor = new UsageMonitor(this.usageInterval);
+    this.usageMonitor = new UsageMonitor(this.registry, this.usageInterval, this.blockHours);
     this.usageMonitor.on('update', (data) => {
       this.ui.updateUsage(data);
     });
     this.usageMonitor.on('block', (block) => {
       this.ui.updateBlock(block);
+      this.alerts.checkBudget(budgetUsage(this.usageMonitor.lastData, block, this.budget), block);
     });
     this.usageMonitor.start();
   }
 
-  _startWatcher(sessionIndex) {
-    // Each session watches all dirs but picks the Nth most recent file
-    // For now, watchers share dirs but independently find their best file
-    // We can later make them pick different files
+  /**
+   * Remote view: panels and usage come from a `hackview serve` host instead of
+   * local watchers, and are drawn with this side's theme, layout and filters
+   */
+  _startRemote() {
+    const source = new RemoteSource(this.connect);
+    this.source = source;
+    const where = formatAddress(this.connect);
+    let ready = false;
 
-    const watcher = new SessionWatcher(this.dirs, sessionIndex);
+    source.on('hello', ({ sessions }) => {
+      if (!ready) {
+        this.numSessions = sessions;
+        if (!this.ui) this.ui = this._createUI();
+        this._initUI();
+        // Sessions, history and exports live on the server
+        for (const name of ['picker', 'release-session', 'load-more', 'export']) {
+          this.ui.on(name, (sessionIndex) => this.ui.showMessage(sessionIndex, '✗ not available over --connect'));
+        }
+        ready = true;
+      }
+      for (let i = 0; i < this.numSessions; i++) this.ui.setPanelNote(i, '');
+    });
+
+    source.on('call', (method, args) => {
+      if (!ready) return;
+      if (method === 'alert') {
+        this.ui.alert(args[0], { bell: this.alertOpts.bell, flash: this.alertOpts.flash });
+        return;
+      }
+      // A server restarted with more panels than this view has
+      if (PANEL_CALLS.includes(method) && !(args[0] >= 0 && args[0] < this.numSessions)) return;
+      this.ui[method](...args);
+    });
+
+    source.on('disconnect', (err) => {
+      if (!ready || err.fatal) {
+        this.stop();
+        console.error(`hackview: cannot connect to ${where}: ${err.message}`);
+        process.exit(1);
+      }
+      const note = this.theme.fg('warning', `⚠ ${where}: ${err.message}, reconnecting…`);
+      for (let i = 0; i < this.numSessions; i++) this.ui.setPanelNote(i, note);
+    });
+
+    source.start();
+  }
+
+  /**
+   * Write the panel's session as hackview-<session>.md|html in the cwd
+   */
+  _exportSession(sessionIndex, format) {
+    const watcher = this.watchers[sessionIndex];
+    const file = watcher && watcher.currentFile;
+    if (!file) return;
+
+    const out = path.resolve(`hackview-${path.basename(file, '.jsonl')}.${format}`);
+    try {
+      fs.writeFileSync(out, exportSession(file, { format, thinking: this.exportThinking }));
+      this.ui.showMessage(sessionIndex, `⇩ exported ${path.basename(out)}`);
+    } catch (e) {
+      this.ui.showMessage(sessionIndex, `✗ export failed: ${e.message}`);
+    }
+  }
+
+  _startWatcher(sessionIndex) {
+    const watcher = new SessionWatcher(sessionIndex, this.history);
+    if (this.panels[sessionIndex]) this.ui.setPinned(sessionIndex, true);
 
     watcher.on('file-change', ({ file }) => {
       this.ui.setFile(sessionIndex, file);
+      this.hooks.setFile(sessionIndex, file);
     });
 
     watcher.on('no-file', () => {
       this.ui.setNoFile(sessionIndex);
+      this.hooks.setFile(sessionIndex, null);
     });
 
+    watcher.on('history-reload', () => this.ui.resetSession(sessionIndex));
+    watcher.on('parse-error', (info) => this.ui.addParseError(sessionIndex, info));
+    watcher.on('context', ({ cwd, gitBranch, version }) => this.ui.setSessionContext(sessionIndex, { cwd, gitBranch, version }));
+
     watcher.on('event', (event) => {
       this.ui.addEvent(sessionIndex, event);
+      // Replayed logs are not live activity
+      if (!this.replay) this.hooks.handleEvent(sessionIndex, event);
+    });
+
+    watcher.on('usage', (totals) => {
+      this.ui.setSessionUsage(sessionIndex, totals);
+      if (this.alerts && watcher.currentFile) {
+        this.alerts.checkSession(path.basename(watcher.currentFile, '.jsonl'), totals);
+      }
     });
 
-    watcher.start();
     this.watchers.push(watcher);
   }
 
+  /**
+   * Replay mode: a clock-driven player feeds panel 1's watcher instead of chokidar,
+   * and the usage panel totals the replayed session so far
+   */
+  _startReplay() {
+    const { file, speed = 1, maxGap = 0 } = this.replay;
+    this._startWatcher(0);
+    const watcher = this.watchers[0];
+
+    const player = new ReplayPlayer(loadTimeline(file, maxGap), speed);
+    this.player = player;
+    let usageEntries = [];
+
+    player.on('reset', () => {
+      usageEntries = [];
+      this.ui.setNoFile(0);
+      watcher.open(file);
+    });
+    player.on('line', (line) => {
+      watcher.feedLine(line);
+      const entry = extractUsageEntry(parseRecord(line));
+      if (entry) usageEntries.push(entry);
+    });
+    player.on('status', (st) => {
+      this.ui.setPanelNote(0, formatReplayStatus(st, this.theme));
+      this.ui.updateUsage(aggregateUsage(dedupeEntries(usageEntries), 0));
+      this.ui.updateBlock(null);
+      // Headless replay has no one to press q: finish with the log
+      if (st.done && this.ui instanceof JsonOutput) this.stop();
+    });
+
+    this.ui.onKey(['space'], () => player.toggle());
+    this.ui.onKey(['s'], () => player.step());
+    this.ui.onKey(['right', 'l'], () => player.seek(30000));
+    this.ui.onKey(['left', 'h'], () => player.seek(-30000));
+    this.ui.onKey(['+', '='], () => player.setSpeed(player.speed * 2));
+    this.ui.onKey(['-', '_'], () => player.setSpeed(player.speed / 2));
+
+    watcher.open(file);
+    player.start();
+  }
+
+  // Hand every panel its (distinct, unless pinned to the same file) session
+  _assign() {
+    const files = this.registry.assign(this.panels);
+    files.forEach((file, i) => this.watchers[i].setFile(file));
+  }
+
   stop() {
+    if (this.source) this.source.stop();
+    if (this.player) this.player.stop();
+    this.hooks.stop();
     for (const w of this.watchers) {
       try { w.stop(); } catch (e) {}
     }
+    try { this.registry.stop(); } catch (e) {}
     if (this.usageMonitor) {
       try { this.usageMonitor.stop(); } catch (e) {}
     }
-    this.ui.destroy();
+    if (this.ui) this.ui.destroy();
   }
 }
 
+function formatReplayStatus(st, theme) {
+  const clock = (ms) => {
+    const t = Math.floor(ms / 1000);
+    const h = Math.floor(t / 3600);
+    const m = String(Math.floor((t % 3600) / 60)).padStart(2, '0');
+    const sec = String(t % 60).padStart(2, '0');
+    return h > 0 ? `${h}:${m}:${sec}` : `${m}:${sec}`;
+  };
+  let state = theme.fg('success', `▶ REPLAY ${st.speed}x`);
+  if (st.done) state = theme.fg('accent', '■ REPLAY END');
+  else if (st.paused) state = theme.fg('warning', '⏸ REPLAY PAUSED');
+  return `${state} ${theme.fg('muted', `${clock(st.position)} / ${clock(st.duration)}  line ${st.index}/${st.total}`)}`;
+}
+
 module.exports = { HackviewApp };
@@ -0,0 +1,277 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { parseRecord, extractContent, summarizeInput } = require('./parser');
+const { costForUsage } = require('./pricing');
+const { formatNum } = require('./usage');
+
+/**
+ * Group a session log into turns, each opened by a human prompt
+ * Tool results are attached to their tool call; subagent (sidechain) records
+ * are not transcribed, but their token usage counts toward the turn
+ * Returns: { file, sessionId, project, startedAt, endedAt, turns, totals }
+ */
+function buildTranscript(filePath) {
+  const lines = fs.readFileSync(filePath, 'utf8').split('\n').filter(l => l.trim());
+
+  const turns = [];
+  const tools = new Map();    // toolUseId -> tool item
+  const messages = new Map(); // messageId -> { usage, model }
+  let turn = null;
+  let startedAt = null;
+  let endedAt = null;
+
+  const openTurn = (prompt, images, timestamp) => {
+    turn = { prompt, images, timestamp, items: [], messageIds: new Set() };
+    turns.push(turn);
+    return turn;
+  };
+
+  for (const line of lines) {
+    const c = extractContent(parseRecord(line));
+    if (!c) continue;
+    if (c.timestamp) {
+      startedAt = startedAt || c.timestamp;
+      endedAt = c.timestamp;
+    }
+
+    if (c.role === 'assistant' && c.messageId && c.usage) {
+      const t = turn || openTurn(null, 0, c.timestamp);
+      messages.set(c.messageId, { usage: c.usage, model: c.model });
+      t.messageIds.add(c.messageId);
+    }
+
+    if (c.isSidechain) continue;
+
+    if (c.role === 'user') {
+      for (const b of c.blocks) {
+        if (b.type !== 'tool_result') continue;
+        const tool = tools.get(b.toolUseId);
+        if (tool) tool.result = { text: b.text, isError: b.isError, timestamp: c.timestamp };
+      }
+      if (c.isMeta) continue;
+      const prompt = c.blocks.filter(b => b.type === 'text').map(b => b.text).join('\n\n');
+      const images = c.blocks.filter(b => b.type === 'image').length;
+      if (prompt.trim() || images > 0) openTurn(prompt, images, c.timestamp);
+      continue;
+    }
+
+    const t = turn || openTurn(null, 0, c.timestamp);
+    for (const b of c.blocks) {
+      if (b.type === 'tool_use') {
+        if (b.id && tools.has(b.id)) continue;
+        const item = { kind: 'tool', id: b.id, name: b.name, input: b.input, result: null, timestamp: c.timestamp };
+        if (b.id) tools.set(b.id, item);
+        t.items.push(item);
+      } else if (b.type === 'text' || b.type === 'thinking') {
+        if (!b.text.trim()) continue;
+        // Streaming chunks of one message repeat or extend the same block
+        const last = t.items[t.items.length - 1];
+        if (last && last.kind === b.type && last.messageId === c.messageId && b.text.startsWith(last.text)) {
+          last.text = b.text;
+          continue;
+        }
+        t.items.push({ kind: b.type, text: b.text, messageId: c.messageId });
+      }
+    }
+  }
+
+  const totals = emptyUsage();
+  for (const t of turns) {
+    t.usage = emptyUsage();
+    for (const id of t.messageIds) addUsage(t.usage, messages.get(id));
+    addTotals(totals, t.usage);
+  }
+
+  return {
+    file: filePath,
+    sessionId: path.basename(filePath, '.jsonl'),
+    project: path.basename(path.dirname(filePath)),
+    startedAt,
+    endedAt,
+    turns,
+    totals,
+  };
+}
+
+function emptyUsage() {
+  return { input: 0, output: 0, cacheRead: 0, cacheWrite: 0, cost: 0 };
+}
+
+function addUsage(acc, message) {
+  if (!message) return;
+  const u = message.usage;
+  acc.input += u.input_tokens || 0;
+  acc.output += u.output_tokens || 0;
+  acc.cacheRead += u.cache_read_input_tokens || 0;
+  acc.cacheWrite += u.cache_creation_input_tokens || 0;
+  acc.cost += costForUsage(message.model, u);
+}
+
+function addTotals(acc, u) {
+  for (const k of Object.keys(acc)) acc[k] += u[k];
+}
+
+function usageLine(u) {
+  return `in ${formatNum(u.input)} · out ${formatNum(u.output)} · cache R ${formatNum(u.cacheRead)} `
+    + `W ${formatNum(u.cacheWrite)} · $${u.cost.toFixed(4)}`;
+}
+
+function elapsed(tool) {
+  if (!tool.result) return '';
+  const ms = Date.parse(tool.result.timestamp) - Date.parse(tool.timestamp);
+  if (!(ms >= 0)) return '';
+  return ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(1)}s`;
+}
+
+// ─── Markdown ────────────────────────────────────────────────────────────────
+
+// A code fence longer than any backtick run inside the text
+function fence(text, lang = '') {
+  const runs = String(text).match(/`+/g) || [];
+  const ticks = '`'.repeat(Math.max(3, ...runs.map(r => r.length + 1)));
+  return `${ticks}${lang}\n${text}\n${ticks}`;
+}
+
+function renderMarkdown(t, opts = {}) {
+  const out = [];
+  out.push(`# Session ${t.sessionId}`);
+  out.push('');
+  out.push(`- **Project:** ${t.project}`);
+  out.push(`- **File:** \`${t.file}\``);
+  if (t.startedAt) out.push(`- **Time:** ${t.startedAt} → ${t.endedAt}`);
+  out.push(`- **Tokens:** ${usageLine(t.totals)}`);
+  out.push('');
+
+  t.turns.forEach((turn, i) => {
+    out.push(`## Turn ${i + 1}${turn.timestamp ? ` · ${turn.timestamp}` : ''}`);
+    out.push('');
+    if (turn.prompt !== null) {
+      out.push('**User:**');
+      out.push('');
+      out.push(turn.prompt.split('\n').map(l => `> ${l}`).join('\n'));
+      if (turn.images > 0) out.push(`>\n> _[${turn.images} image${turn.images === 1 ? '' : 's'}]_`);
+      out.push('');
+    }
+
+    for (const item of turn.items) {
+      if (item.kind === 'text') {
+        out.push(item.text);
+        out.push('');
+      } else if (item.kind === 'thinking') {
+        if (!opts.thinking) continue;
+        out.push('<details><summary>Thinking</summary>');
+        out.push('');
+        out.push(item.text);
+        out.push('');
+        out.push('</details>');
+        out.push('');
+      } else if (item.kind === 'tool') {
+        const summary = summarizeInput(item.input);
+        out.push(`**⚙ ${item.name}**${summary ? ` \`${summary.replace(/`/g, "'")}\`` : ''}`);
+        out.push('');
+        out.push(fence(JSON.stringify(item.input, null, 2), 'json'));
+        if (item.result) {
+          const took = elapsed(item);
+          out.push('');
+          out.push(`${item.result.isError ? '✗ **Error**' : '✓ **Result**'}${took ? ` (${took})` : ''}`);
+          out.push('');
+          out.push(fence(item.result.text || '(empty)'));
+        }
+        out.push('');
+      }
+    }
+
+    out.push(`_Tokens: ${usageLine(turn.usage)}_`);
+    out.push('');
+  });
+
+  return out.join('\n');
+}
+
+// ─── HTML ────────────────────────────────────────────────────────────────────
+
+function escHtml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const HTML_STYLE = `
+body { font: 15px/1.5 -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; max-width: 960px; margin: 2em auto; padding: 0 1em; color: #1f2328; }
+h1 { font-size: 1.6em; border-bottom: 1px solid #d0d7de; padding-bottom: .3em; }
+h2 { font-size: 1.2em; margin-top: 2em; border-bottom: 1px solid #d0d7de; padding-bottom: .2em; }
+h2 small, .meta { color: #656d76; font-weight: normal; }
+.prompt { border-left: 4px solid #0969da; background: #f6f8fa; padding: .5em 1em; white-space: pre-wrap; }
+.text { white-space: pre-wrap; }
+.thinking { color: #656d76; white-space: pre-wrap; }
+.tool { border: 1px solid #d0d7de; border-radius: 6px; margin: 1em 0; padding: .5em 1em; }
+.tool.error { border-color: #cf222e; }
+.ok { color: #1a7f37; } .err { color: #cf222e; }
+pre { background: #f6f8fa; padding: .75em; overflow-x: auto; white-space: pre-wrap; word-break: break-word; }
+code { font: 13px ui-monospace, SFMono-Regular, Menlo, monospace; }
+`;
+
+function renderHtml(t, opts = {}) {
+  const out = [];
+  out.push('<!DOCTYPE html>');
+  out.push('<html><head><meta charset="utf-8">');
+  out.push(`<title>Session ${escHtml(t.sessionId)}</title>`);
+  out.push(`<style>${HTML_STYLE}</style>`);
+  out.push('</head><body>');
+  out.push(`<h1>Session ${escHtml(t.sessionId)}</h1>`);
+  out.push('<ul class="meta">');
+  out.push(`<li>Project: ${escHtml(t.project)}</li>`);
+  out.push(`<li>File: <code>${escHtml(t.file)}</code></li>`);
+  if (t.startedAt) out.push(`<li>Time: ${escHtml(t.startedAt)} → ${escHtml(t.endedAt)}</li>`);
+  out.push(`<li>Tokens: ${escHtml(usageLine(t.totals))}</li>`);
+  out.push('</ul>');
+
+  t.turns.forEach((turn, i) => {
+    out.push(`<h2>Turn ${i + 1}${turn.timestamp ? ` <small>${escHtml(turn.timestamp)}</small>` : ''}</h2>`);
+    if (turn.prompt !== null) {
+      const images = turn.images > 0 ? `\n[${turn.images} image${turn.images === 1 ? '' : 's'}]` : '';
+      out.push(`<div class="prompt">${escHtml(turn.prompt + images)}</div>`);
+    }
+
+    for (const item of turn.items) {
+      if (item.kind === 'text') {
+        out.push(`<div class="text">${escHtml(item.text)}</div>`);
+      } else if (item.kind === 'thinking') {
+        if (!opts.thinking) continue;
+        out.push(`<details><summary>Thinking</summary><div class="thinking">${escHtml(item.text)}</div></details>`);
+      } else if (item.kind === 'tool') {
+        const r = item.result;
+        const took = elapsed(item);
+        out.push(`<div class="tool${r && r.isError ? ' error' : ''}">`);
+        out.push(`<strong>⚙ ${escHtml(item.name)}</strong> <code>${escHtml(summarizeInput(item.input))}</code>`);
+        out.push(`<details><summary>Input</summary><pre><code>${escHtml(JSON.stringify(item.input, null, 2))}</code></pre></details>`);
+        if (r) {
+          const status = r.isError ? '<span class="err">✗ Error</span>' : '<span class="ok">✓ Result</span>';
+          out.push(`<details${r.isError ? ' open' : ''}><summary>${status}${took ? ` (${escHtml(took)})` : ''}</summary>`
+            + `<pre><code>${escHtml(r.text || '(empty)')}</code></pre></details>`);
+        }
+        out.push('</div>');
+      }
+    }
+
+    out.push(`<p class="meta">Tokens: ${escHtml(usageLine(turn.usage))}</p>`);
+  });
+
+  out.push('</body></html>');
+  return out.join('\n');
+}
+
+/**
+ * Render a session log as a Markdown or HTML document
+ * opts: { format: 'md'|'html', thinking: include thinking blocks }
+ */
+function exportSession(filePath, opts = {}) {
+  const transcript = buildTranscript(filePath);
+  return opts.format === 'html' ? renderHtml(transcript, opts) : renderMarkdown(transcript, opts);
+}
+
+module.exports = { buildTranscript, renderMarkdown, renderHtml, exportSession };
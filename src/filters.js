@@ -0,0 +1,40 @@
+'use strict';
+
+// Event types a panel can show or hide (tool results ride on their tool_use line)
+const EVENT_TYPES = ['session-start', 'user', 'thinking', 'text', 'tool_use', 'complete'];
+
+// Verbosity presets: the event types each one hides
+const VERBOSITY = {
+  everything:   [],
+  conversation: ['thinking', 'tool_use'],
+  tools:        ['session-start', 'user', 'thinking', 'text', 'complete'],
+};
+
+/**
+ * Hidden event types for a verbosity preset plus extra types to hide
+ * Throws on unknown names so the CLI can report them
+ */
+function resolveHidden(verbosity, hide = []) {
+  const preset = verbosity || 'everything';
+  if (!VERBOSITY[preset]) {
+    throw new Error(`unknown verbosity "${preset}" (expected ${Object.keys(VERBOSITY).join(', ')})`);
+  }
+  for (const type of hide) {
+    if (!EVENT_TYPES.includes(type)) {
+      throw new Error(`unknown event type "${type}" (expected ${EVENT_TYPES.join(', ')})`);
+    }
+  }
+  return new Set([...VERBOSITY[preset], ...hide]);
+}
+
+/**
+ * Name of the preset a hidden set matches, or 'custom'
+ */
+function verbosityName(hidden) {
+  for (const [name, types] of Object.entries(VERBOSITY)) {
+    if (types.length === hidden.size && types.every(t => hidden.has(t))) return name;
+  }
+  return 'custom';
+}
+
+module.exports = { EVENT_TYPES, VERBOSITY, resolveHidden, verbosityName };
@@ -0,0 +1,216 @@
+'use strict';
+
+const path = require('path');
+const { spawn } = require('child_process');
+
+// Hook names; "tool:<Name>" (e.g. tool:Bash) fires on calls to that tool
+const HOOK_EVENTS = ['complete', 'tool-error', 'budget', 'stalled', 'new-session'];
+
+const DEFAULT_TIMEOUT_SEC = 10;
+const DEFAULT_LIMIT = 10;         // runs per minute, per hook
+const DEFAULT_STALL_SEC = 300;
+const MAX_RUNNING = 4;            // across all hooks
+const STALL_CHECK_MS = 5000;
+const ENV_LIMIT = 4096;           // keep env values well under ARG_MAX
+
+/**
+ * Normalize the config `hooks` object into a list of hook specs
+ * Values may be a command string, { command, timeout, limit, after }, or an
+ * array of either. Throws on unknown hook names or missing commands
+ * Returns: [{ on, command, timeoutMs, limit, afterMs, runs: [], dropped }]
+ */
+function parseHooks(config) {
+  if (!config) return [];
+  if (typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error('"hooks" must be an object mapping events to commands');
+  }
+
+  const hooks = [];
+  for (const [on, value] of Object.entries(config)) {
+    if (!HOOK_EVENTS.includes(on) && !/^tool:.+/.test(on)) {
+      throw new Error(`unknown hook "${on}" (expected ${HOOK_EVENTS.join(', ')} or tool:<Name>)`);
+    }
+    for (const entry of Array.isArray(value) ? value : [value]) {
+      const spec = typeof entry === 'string' ? { command: entry } : (entry || {});
+      if (typeof spec.command !== 'string' || !spec.command.trim()) {
+        throw new Error(`hook "${on}" needs a command`);
+      }
+      hooks.push({
+        on,
+        command: spec.command,
+        timeoutMs: (Number(spec.timeout) || DEFAULT_TIMEOUT_SEC) * 1000,
+        limit: Number(spec.limit) || DEFAULT_LIMIT,
+        afterMs: (Number(spec.after) || DEFAULT_STALL_SEC) * 1000,
+        runs: [],   // start times within the last minute
+        dropped: 0,
+      });
+    }
+  }
+  return hooks;
+}
+
+// Event fields worth handing to a hook (no UI bookkeeping)
+function eventData(event) {
+  const data = {};
+  for (const key of ['type', 'content', 'raw', 'toolName', 'toolUseId', 'input', 'isError', 'durationMs',
+    'stopReason', 'model', 'messageId', 'usage', 'isSidechain', 'agentId', 'timestamp']) {
+    if (event[key] !== undefined && event[key] !== null) data[key] = event[key];
+  }
+  return data;
+}
+
+function sessionInfo(file) {
+  if (!file) return { file: null, session: null, project: null };
+  return { file, session: path.basename(file, '.jsonl'), project: path.basename(path.dirname(file)) };
+}
+
+/**
+ * Runs user shell commands on session events. Each command gets the event as
+ * JSON on stdin and as HACKVIEW_* environment variables, is killed after its
+ * timeout, and is skipped once its hook has run `limit` times in a minute
+ */
+class HookRunner {
+  constructor(hooks = []) {
+    this.hooks = hooks;
+    this.running = 0;
+    this.panels = [];       // per panel: { file, lastAt, open, stalled, lastEvent }
+    this.stallTimer = null;
+  }
+
+  get enabled() {
+    return this.hooks.length > 0;
+  }
+
+  start() {
+    if (this.hooks.some(h => h.on === 'stalled')) {
+      this.stallTimer = setInterval(() => this._checkStalls(), STALL_CHECK_MS);
+    }
+  }
+
+  stop() {
+    if (this.stallTimer) clearInterval(this.stallTimer);
+  }
+
+  /**
+   * A panel switched files: stall tracking starts over
+   */
+  setFile(panel, file) {
+    this.panels[panel] = { file, lastAt: Date.now(), open: false, stalled: false, lastEvent: null };
+  }
+
+  /**
+   * Feed one SessionWatcher 'event'; history replays and chunk updates are ignored
+   */
+  handleEvent(panel, event) {
+    if (!this.enabled || event.isHistory || event.isUpdate) return;
+    const state = this.panels[panel] || (this.panels[panel] = { file: null, stalled: false });
+    state.lastAt = Date.now();
+    state.stalled = false;
+    state.lastEvent = event.type;
+    // A turn is open until the main agent stops for anything but a tool call
+    const endsTurn = event.type === 'complete' && !event.isSidechain && event.stopReason !== 'tool_use';
+    state.open = !endsTurn && event.type !== 'session-start';
+
+    const base = { panel: panel + 1, ...sessionInfo(state.file) };
+    if (endsTurn) {
+      this.trigger('complete', { ...base, event: eventData(event) });
+    } else if (event.type === 'tool_result' && event.isError) {
+      this.trigger('tool-error', { ...base, event: eventData(event) });
+    } else if (event.type === 'tool_use' && event.toolName) {
+      this.trigger(`tool:${event.toolName}`, { ...base, event: eventData(event) });
+    }
+  }
+
+  /**
+   * Feed a BudgetAlerts 'alert'
+   */
+  handleAlert(alert) {
+    this.trigger('budget', { panel: null, file: null, session: alert.session, project: null, event: { type: 'alert', ...alert } });
+  }
+
+  /**
+   * A session file appeared after startup (SessionRegistry 'session-added')
+   */
+  handleNewSession(session) {
+    this.trigger('new-session', {
+      panel: null,
+      ...sessionInfo(session.file),
+      event: { type: 'new-session', timestamp: new Date(session.mtime).toISOString() },
+    });
+  }
+
+  trigger(on, payload) {
+    for (const hook of this.hooks) {
+      if (hook.on === on) this._run(hook, { hook: on, ...payload });
+    }
+  }
+
+  _checkStalls() {
+    const now = Date.now();
+    this.panels.forEach((state, panel) => {
+      if (!state || !state.file || !state.open || state.stalled) return;
+      const idleMs = now - state.lastAt;
+      for (const hook of this.hooks) {
+        if (hook.on !== 'stalled' || idleMs < hook.afterMs) continue;
+        state.stalled = true;
+        this._run(hook, {
+          hook: 'stalled',
+          panel: panel + 1,
+          ...sessionInfo(state.file),
+          event: { type: 'stalled', idleSeconds: Math.round(idleMs / 1000), lastEvent: state.lastEvent },
+        });
+      }
+    });
+  }
+
+  _run(hook, payload) {
+    const now = Date.now();
+    hook.runs = hook.runs.filter(t => now - t < 60000);
+    if (hook.runs.length >= hook.limit || this.running >= MAX_RUNNING) {
+      hook.dropped++;
+      return;
+    }
+    hook.runs.push(now);
+    payload.timestamp = payload.timestamp || new Date(now).toISOString();
+
+    const ev = payload.event || {};
+    const env = {
+      ...process.env,
+      HACKVIEW_HOOK: payload.hook,
+      HACKVIEW_EVENT: ev.type || '',
+      HACKVIEW_PANEL: payload.panel ? String(payload.panel) : '',
+      HACKVIEW_SESSION: payload.session || '',
+      HACKVIEW_FILE: payload.file || '',
+      HACKVIEW_PROJECT: payload.project || '',
+      HACKVIEW_TOOL: ev.toolName || '',
+      HACKVIEW_MESSAGE: String(ev.message || ev.content || '').slice(0, ENV_LIMIT),
+    };
+
+    let child;
+    try {
+      // Own process group, so a timeout also takes down anything the command started
+      child = spawn('sh', ['-c', hook.command], { env, stdio: ['pipe', 'ignore', 'ignore'], detached: true });
+    } catch (e) {
+      return;
+    }
+    this.running++;
+
+    const timer = setTimeout(() => {
+      try { process.kill(-child.pid, 'SIGKILL'); } catch (e) {}
+    }, hook.timeoutMs);
+    let finished = false;
+    const finish = () => {
+      if (finished) return;
+      finished = true;
+      clearTimeout(timer);
+      this.running--;
+    };
+    child.on('close', finish);
+    child.on('error', finish);
+    child.stdin.on('error', () => {}); // command did not read its input
+    child.stdin.end(JSON.stringify(payload) + '\n');
+    child.unref();
+  }
+}
+
+module.exports = { HookRunner, parseHooks, HOOK_EVENTS };
@@ -0,0 +1,120 @@
+'use strict';
+
+const { EventEmitter } = require('events');
+
+/**
+ * Headless stand-in for HackviewUI: same methods HackviewApp calls, but each
+ * panel update is written to a stream as one JSON line
+ */
+class JsonOutput extends EventEmitter {
+  constructor(out = process.stdout) {
+    super();
+    this.out = out;
+    this.sessionFiles = [];
+    this.sessionHidden = []; // Set<event type>[] per panel
+  }
+
+  init() {
+    // Downstream closed (e.g. piped into `head`): nothing left to do
+    this.out.on('error', (e) => {
+      if (e.code === 'EPIPE') process.exit(0);
+    });
+  }
+
+  _write(obj) {
+    try {
+      this.out.write(JSON.stringify(obj) + '\n');
+    } catch (e) {
+      // ignore
+    }
+  }
+
+  setFile(sessionIndex, filePath) {
+    this.sessionFiles[sessionIndex] = filePath;
+    this._write({ type: 'file-change', panel: sessionIndex + 1, session: filePath, timestamp: new Date().toISOString() });
+  }
+
+  setNoFile(sessionIndex) {
+    this.sessionFiles[sessionIndex] = null;
+    this._write({ type: 'no-file', panel: sessionIndex + 1, session: null, timestamp: new Date().toISOString() });
+  }
+
+  // The panel's history is about to be replayed from scratch (a truncated or
+  // replaced log): consumers should drop the events they have for it
+  resetSession(sessionIndex) {
+    const session = this.sessionFiles[sessionIndex] || null;
+    this._write({ type: 'reset', panel: sessionIndex + 1, session, timestamp: new Date().toISOString() });
+  }
+
+  // Hidden types are not written at all; there is no view to restore them into
+  setHiddenTypes(sessionIndex, types) {
+    this.sessionHidden[sessionIndex] = new Set(types);
+  }
+
+  addEvent(sessionIndex, event) {
+    const hidden = this.sessionHidden[sessionIndex];
+    if (hidden && (hidden.has(event.type) || (event.type === 'tool_result' && hidden.has('tool_use')))) return;
+    this._write({
+      type: event.type,
+      content: event.content === undefined ? null : event.content,
+      toolName: event.toolName || null,
+      toolUseId: event.toolUseId || null,
+      messageId: event.messageId || null,
+      usage: event.usage || null,
+      isError: event.isError,
+      durationMs: event.durationMs,
+      isSidechain: event.isSidechain || undefined,
+      parentToolUseId: event.parentToolUseId || undefined,
+      subagent: event.subagent || event.subagentStats || undefined,
+      isHistory: event.isHistory || false,
+      isUpdate: event.isUpdate || false,
+      panel: sessionIndex + 1,
+      session: this.sessionFiles[sessionIndex] || null,
+      timestamp: event.timestamp || new Date().toISOString(),
+    });
+  }
+
+  // Skipped lines are reported so consumers know the stream has gaps
+  addParseError(sessionIndex, { line, stats }) {
+    this._write({
+      type: 'parse-error',
+      panel: sessionIndex + 1,
+      session: this.sessionFiles[sessionIndex] || null,
+      line,
+      count: stats.parseErrors,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  // Directory and branch changes, so consumers can tell what a session works on
+  setSessionContext(sessionIndex, { cwd, gitBranch, version }) {
+    this._write({
+      type: 'context',
+      panel: sessionIndex + 1,
+      session: this.sessionFiles[sessionIndex] || null,
+      cwd,
+      gitBranch,
+      version,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  alert(alert) {
+    this._write({ type: 'alert', ...alert, timestamp: new Date().toISOString() });
+  }
+
+  // Panel chrome and usage have no headless form
+  updateUsage() {}
+  updateBlock() {}
+  setPinned() {}
+  setPanelNote() {}
+  setSessionUsage() {}
+  showMessage() {}
+  scrollSession() {}
+  showPicker() {}
+  updatePicker() { return false; }
+  onKey() {}
+  destroy() {}
+}
+
+module.exports = { JsonOutput };
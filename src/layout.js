@@ -0,0 +1,74 @@
+'use strict';
+
+// How session panels are arranged; `compact` (with any of them) drops the
+// CPU/MEM/NET/SYS row from the header
+const LAYOUT_MODES = ['vertical', 'columns', 'grid'];
+
+// Below these the UI shows a "terminal too small" notice instead of panels
+const MIN_HEADER_WIDTH = 40;  // four system columns
+const MIN_PANEL_WIDTH = 24;
+const MIN_PANEL_HEIGHT = 5;   // label strip plus one log line, borders included
+
+/**
+ * Parse a layout spec: a mode, "compact", or both ("grid,compact")
+ * Returns: { mode, compact }; throws on unknown names so the CLI can report them
+ */
+function parseLayout(spec) {
+  const layout = { mode: 'vertical', compact: false };
+  for (const part of String(spec || '').split(',').map(p => p.trim()).filter(Boolean)) {
+    if (part === 'compact') layout.compact = true;
+    else if (LAYOUT_MODES.includes(part)) layout.mode = part;
+    else throw new Error(`unknown layout "${part}" (expected ${LAYOUT_MODES.join(', ')}, optionally with ",compact")`);
+  }
+  return layout;
+}
+
+function layoutName(layout) {
+  return layout.compact ? `${layout.mode},compact` : layout.mode;
+}
+
+/**
+ * Columns and rows of panels: grid picks the smallest square-ish shape
+ * (4 → 2x2, 6 → 3x2)
+ */
+function gridShape(mode, count) {
+  let cols = 1;
+  if (mode === 'columns') cols = count;
+  else if (mode === 'grid') cols = Math.ceil(Math.sqrt(count));
+  return { cols, rows: Math.ceil(count / cols) };
+}
+
+/**
+ * Smallest screen that fits the header and every panel in this mode
+ */
+function minimumSize(mode, count, headerHeight) {
+  const { cols, rows } = gridShape(mode, count);
+  return {
+    width: Math.max(MIN_HEADER_WIDTH, cols * MIN_PANEL_WIDTH),
+    height: headerHeight + rows * MIN_PANEL_HEIGHT,
+  };
+}
+
+/**
+ * Split an area into one rectangle per panel, row by row in panel order; a
+ * short last row shares its width between fewer panels
+ * area: { top, left, width, height }; returns [{ top, left, width, height }]
+ */
+function panelRects(mode, count, area) {
+  const { cols, rows } = gridShape(mode, count);
+
+  const rects = [];
+  for (let r = 0; r < rows; r++) {
+    const inRow = Math.min(cols, count - r * cols);
+    const top = area.top + Math.floor((r * area.height) / rows);
+    const bottom = area.top + Math.floor(((r + 1) * area.height) / rows);
+    for (let c = 0; c < inRow; c++) {
+      const left = area.left + Math.floor((c * area.width) / inRow);
+      const right = area.left + Math.floor(((c + 1) * area.width) / inRow);
+      rects.push({ top, left, width: right - left, height: bottom - top });
+    }
+  }
+  return rects;
+}
+
+module.exports = { LAYOUT_MODES, parseLayout, layoutName, gridShape, minimumSize, panelRects };
@@ -13,11 +13,43 @@ function parseRecord(line) {
   }
 }
 
+/**
+ * Where and by what a record was written: { cwd, gitBranch, version }, or
+ * null when it carries none of them (e.g. summaries, file snapshots)
+ */
+function extractContext(record) {
+  if (!record || (!record.cwd && !record.gitBranch && !record.version)) return null;
+  return { cwd: record.cwd || null, gitBranch: record.gitBranch || null, version: record.version || null };
+}
+
+// Longest untruncated text kept on an event for search (big tool results are
+// cut; rawLength is the length before the cut)
+const RAW_LIMIT = 20000;
+
 /**
  * Extract display-friendly event from a record
- * Returns: { type, content, messageId, isComplete, usage } or null
+ * Returns: { type, content, messageId, isComplete, usage, timestamp } or null
+ * user, tool_use and tool_result events also carry `raw`: the text behind the
+ * truncated `content` (full prompt, tool input JSON, full result), for search.
+ * Assistant events carry `model`; tool_use events the full `input` object.
+ * Events from subagent (sidechain) records also carry isSidechain and agentId
  */
 function extractEvent(record) {
+  const events = extractRecordEvents(record);
+  if (!events) return events;
+
+  const tag = (e) => {
+    const tagged = { ...e, timestamp: e.timestamp || record.timestamp || null };
+    if (record.isSidechain) {
+      tagged.isSidechain = true;
+      tagged.agentId = record.agentId || null;
+    }
+    return tagged;
+  };
+  return Array.isArray(events) ? events.map(tag) : tag(events);
+}
+
+function extractRecordEvents(record) {
   if (!record || !record.type) return null;
 
   try {
@@ -35,15 +67,35 @@ function extractEvent(record) {
       case 'user': {
         const msg = record.message;
         if (!msg) return null;
-        const content = extractUserContent(msg.content);
-        if (!content) return null;
-        return {
-          type: 'user',
-          content,
+
+        // Tool results ride on user records; pair them with their tool_use by id
+        const events = extractToolResults(msg.content).map(r => ({
+          type: 'tool_result',
+          content: r.summary,
+          raw: r.text.slice(0, RAW_LIMIT),
+          rawLength: r.text.length,
+          toolUseId: r.toolUseId,
+          isError: r.isError,
+          timestamp: record.timestamp || null,
           messageId: msg.id || null,
           isComplete: true,
           usage: null,
-        };
+        }));
+
+        const content = record.isMeta ? null : extractUserContent(msg.content);
+        if (content) {
+          const prompt = promptText(msg.content);
+          events.unshift({
+            type: 'user',
+            content,
+            raw: prompt.slice(0, RAW_LIMIT),
+            rawLength: prompt.length,
+            messageId: msg.id || null,
+            isComplete: true,
+            usage: null,
+          });
+        }
+        return events.length > 0 ? events : null;
       }
 
       case 'assistant': {
@@ -61,6 +113,7 @@ function extractEvent(record) {
               type: 'thinking',
               content: thinkingText, // full text, truncation handled in UI
               messageId: msg.id,
+              model: msg.model || null,
               isComplete: msg.stop_reason !== null,
               usage: msg.usage || null,
             });
@@ -69,19 +122,28 @@ function extractEvent(record) {
               type: 'text',
               content: block.text || '',
               messageId: msg.id,
+              model: msg.model || null,
               isComplete: msg.stop_reason !== null,
               usage: msg.usage || null,
             });
           } else if (block.type === 'tool_use') {
             const inputSummary = summarizeInput(block.input);
-            events.push({
+            const event = {
               type: 'tool_use',
               content: `${block.name}(${inputSummary})`,
+              raw: JSON.stringify(block.input || {}).slice(0, RAW_LIMIT),
+              input: block.input || {},
               toolName: block.name,
+              toolUseId: block.id || null,
+              timestamp: record.timestamp || null,
               messageId: msg.id,
+              model: msg.model || null,
               isComplete: msg.stop_reason !== null,
               usage: msg.usage || null,
-            });
+            };
+            const subagent = extractSubagent(block);
+            if (subagent) event.subagent = subagent;
+            events.push(event);
           }
         }
 
@@ -90,7 +152,9 @@ function extractEvent(record) {
           return [{
             type: 'complete',
             content: `[${msg.stop_reason}]`,
+            stopReason: msg.stop_reason,
             messageId: msg.id,
+            model: msg.model || null,
             isComplete: true,
             usage: msg.usage || null,
           }];
@@ -101,7 +165,9 @@ function extractEvent(record) {
           events.push({
             type: 'complete',
             content: `[${msg.stop_reason}]`,
+            stopReason: msg.stop_reason,
             messageId: msg.id,
+            model: msg.model || null,
             isComplete: true,
             usage: msg.usage || null,
           });
@@ -118,6 +184,79 @@ function extractEvent(record) {
   }
 }
 
+/**
+ * Full-fidelity view of a user/assistant record for transcripts: nothing
+ * truncated, tool inputs kept as objects, tool results as full text
+ * Returns: { role, messageId, model, usage, stopReason, timestamp, isSidechain, isMeta, blocks } or null
+ * where blocks are { type: 'text'|'thinking', text } | { type: 'tool_use', id, name, input }
+ * | { type: 'tool_result', toolUseId, isError, text } | { type: 'image' }
+ */
+function extractContent(record) {
+  if (!record || (record.type !== 'user' && record.type !== 'assistant') || !record.message) return null;
+  const msg = record.message;
+
+  const blocks = [];
+  if (typeof msg.content === 'string') {
+    blocks.push({ type: 'text', text: msg.content });
+  } else if (Array.isArray(msg.content)) {
+    for (const block of msg.content) {
+      if (!block) continue;
+      if (block.type === 'text') {
+        blocks.push({ type: 'text', text: block.text || '' });
+      } else if (block.type === 'thinking') {
+        blocks.push({ type: 'thinking', text: block.thinking || '' });
+      } else if (block.type === 'tool_use') {
+        blocks.push({ type: 'tool_use', id: block.id || null, name: block.name, input: block.input || {} });
+      } else if (block.type === 'tool_result') {
+        blocks.push({
+          type: 'tool_result',
+          toolUseId: block.tool_use_id || null,
+          isError: block.is_error === true,
+          text: toolResultText(block.content),
+        });
+      } else if (block.type === 'image') {
+        blocks.push({ type: 'image' });
+      }
+    }
+  }
+
+  return {
+    role: record.type,
+    messageId: msg.id || null,
+    model: msg.model || null,
+    usage: msg.usage || null,
+    stopReason: msg.stop_reason || null,
+    timestamp: record.timestamp || null,
+    isSidechain: !!record.isSidechain,
+    isMeta: !!record.isMeta,
+    blocks,
+  };
+}
+
+/**
+ * Subagent launch details from a Task tool_use block, or null
+ */
+function extractSubagent(block) {
+  if (!block || block.name !== 'Task' || !block.input) return null;
+  return {
+    agentType: block.input.subagent_type || 'general-purpose',
+    description: block.input.description || '',
+    prompt: block.input.prompt || '',
+  };
+}
+
+/**
+ * Plain prompt text of a user message, used to match a sidechain's first
+ * message to the Task that launched it
+ */
+function promptText(content) {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content.filter(b => b && b.type === 'text').map(b => b.text || '').join('\n');
+  }
+  return '';
+}
+
 function extractUserContent(content) {
   if (!content) return null;
   if (typeof content === 'string') {
@@ -128,16 +267,6 @@ function extractUserContent(content) {
     for (const block of content) {
       if (block.type === 'text') {
         parts.push(block.text ? block.text.slice(0, 200) : '');
-      } else if (block.type === 'tool_result') {
-        const resultContent = block.content;
-        let summary = '[tool result]';
-        if (typeof resultContent === 'string') {
-          summary = `[result: ${resultContent.slice(0, 60)}]`;
-        } else if (Array.isArray(resultContent)) {
-          const text = resultContent.find(b => b.type === 'text');
-          if (text) summary = `[result: ${text.text.slice(0, 60)}]`;
-        }
-        parts.push(summary);
       } else if (block.type === 'image') {
         parts.push('[image]');
       }
@@ -147,6 +276,36 @@ function extractUserContent(content) {
   return null;
 }
 
+/**
+ * Tool results in a user message
+ * Returns: [{ toolUseId, isError, summary, text }] where summary is the first
+ * non-empty line of the result text, cut to 60 chars
+ */
+function extractToolResults(content) {
+  if (!Array.isArray(content)) return [];
+  const results = [];
+  for (const block of content) {
+    if (!block || block.type !== 'tool_result') continue;
+    const text = toolResultText(block.content);
+    const firstLine = text.split('\n').map(l => l.trim()).find(Boolean) || '';
+    results.push({
+      toolUseId: block.tool_use_id || null,
+      isError: block.is_error === true,
+      summary: firstLine.slice(0, 60),
+      text,
+    });
+  }
+  return results;
+}
+
+function toolResultText(content) {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content.filter(b => b && b.type === 'text').map(b => b.text || '').join('\n');
+  }
+  return '';
+}
+
 function summarizeInput(input) {
   if (!input) return '';
   try {
@@ -171,4 +330,12 @@ function summarizeInput(input) {
   }
 }
 
-module.exports = { parseRecord, extractEvent, summarizeInput };
+module.exports = {
+  parseRecord,
+  extractContext,
+  extractEvent,
+  extractContent,
+  summarizeInput,
+  extractSubagent,
+  promptText,
+};
@@ -0,0 +1,41 @@
+'use strict';
+
+/**
+ * Per-model token pricing, in USD per million tokens.
+ * Matched in order against the lowercased model id, first hit wins.
+ */
+const MODEL_PRICING = [
+  { match: /opus-4-[5-9]/,       input: 5,    output: 25,   cacheWrite: 6.25,  cacheRead: 0.5 },
+  { match: /opus/,               input: 15,   output: 75,   cacheWrite: 18.75, cacheRead: 1.5 },
+  { match: /sonnet/,             input: 3,    output: 15,   cacheWrite: 3.75,  cacheRead: 0.3 },
+  { match: /haiku-4/,            input: 1,    output: 5,    cacheWrite: 1.25,  cacheRead: 0.1 },
+  { match: /3-5-haiku|haiku-3-5/, input: 0.8, output: 4,    cacheWrite: 1,     cacheRead: 0.08 },
+  { match: /haiku/,              input: 0.25, output: 1.25, cacheWrite: 0.3,   cacheRead: 0.03 },
+];
+
+function getModelPricing(model) {
+  if (!model) return null;
+  const m = String(model).toLowerCase();
+  for (const p of MODEL_PRICING) {
+    if (p.match.test(m)) return p;
+  }
+  return null;
+}
+
+/**
+ * Estimate the USD cost of one assistant message's `usage` object
+ * Unknown models cost 0 rather than guessing
+ */
+function costForUsage(model, usage) {
+  if (!usage) return 0;
+  const p = getModelPricing(model);
+  if (!p) return 0;
+  return (
+    (usage.input_tokens || 0) * p.input +
+    (usage.output_tokens || 0) * p.output +
+    (usage.cache_creation_input_tokens || 0) * p.cacheWrite +
+    (usage.cache_read_input_tokens || 0) * p.cacheRead
+  ) / 1000000;
+}
+
+module.exports = { MODEL_PRICING, getModelPricing, costForUsage };
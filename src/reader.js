@@ -0,0 +1,94 @@
+'use strict';
+
+const fs = require('fs');
+
+/**
+ * Read the complete lines between `offset` and `size` of a file
+ * A trailing line without its newline is left for the next read
+ * Returns: { lines, offsets, offset } where offsets[i] is where lines[i]
+ * starts and offset is just past the last newline consumed
+ */
+function readCompleteLines(filePath, offset, size) {
+  if (size <= offset) return { lines: [], offsets: [], offset };
+
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(size - offset);
+    fs.readSync(fd, buffer, 0, buffer.length, offset);
+    const lastNl = buffer.lastIndexOf(0x0a);
+    if (lastNl < 0) return { lines: [], offsets: [], offset };
+
+    const lines = [];
+    const offsets = [];
+    for (let start = 0; start <= lastNl;) {
+      const nl = buffer.indexOf(0x0a, start);
+      const line = buffer.toString('utf8', start, nl);
+      if (line.trim()) {
+        lines.push(line);
+        offsets.push(offset + start);
+      }
+      start = nl + 1;
+    }
+    return { lines, offsets, offset: offset + lastNl + 1 };
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Offset just past the last newline before `size`: where the file's complete
+ * lines end. A line still being written after it is left for a later read
+ */
+function completeLinesEnd(filePath, size, chunkSize = 64 * 1024) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    let pos = size;
+    while (pos > 0) {
+      const n = Math.min(chunkSize, pos);
+      pos -= n;
+      const buffer = Buffer.alloc(n);
+      fs.readSync(fd, buffer, 0, n, pos);
+      const nl = buffer.lastIndexOf(0x0a);
+      if (nl >= 0) return pos + nl + 1;
+    }
+    return 0;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Read a file's lines backwards from `end`, one chunk at a time, so taking the
+ * tail of a large log only touches the bytes actually used. Lines split on the
+ * newline byte before decoding, which keeps multi-byte characters whole
+ * Yields: { line, offset } newest first; offset is where the line starts
+ */
+function* readLinesBackward(filePath, end, chunkSize = 64 * 1024) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    let pos = end;
+    let rest = Buffer.alloc(0); // start of a line whose beginning is in an earlier chunk
+    while (pos > 0) {
+      const size = Math.min(chunkSize, pos);
+      pos -= size;
+      const chunk = Buffer.alloc(size);
+      fs.readSync(fd, chunk, 0, size, pos);
+      const buffer = rest.length > 0 ? Buffer.concat([chunk, rest]) : chunk;
+
+      let stop = buffer.length;
+      let nl;
+      while (stop > 0 && (nl = buffer.lastIndexOf(0x0a, stop - 1)) >= 0) {
+        const line = buffer.toString('utf8', nl + 1, stop);
+        if (line.trim()) yield { line, offset: pos + nl + 1 };
+        stop = nl;
+      }
+      rest = buffer.subarray(0, stop);
+    }
+    const first = rest.toString('utf8');
+    if (first.trim()) yield { line: first, offset: 0 };
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+module.exports = { readCompleteLines, readLinesBackward, completeLinesEnd };
@@ -0,0 +1,368 @@
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const DEFAULT_PORT = 7350;
+const PROTOCOL = 1;
+const HEARTBEAT_MS = 15000;
+const IDLE_TIMEOUT_MS = 45000;             // three missed heartbeats: the link is dead
+const RETRY_MS = [1000, 2000, 5000, 10000]; // reconnect backoff
+const EVENT_BACKLOG = 500;                 // events per panel replayed to a client that joins late
+const MAX_CLIENT_BUFFER = 8 * 1024 * 1024; // unsent bytes before a slow client is dropped
+
+// UI calls a server forwards and a client applies; everything else (keys,
+// filters, layout, pickers) stays with whoever is looking
+const PANEL_CALLS = [
+  'setFile', 'setNoFile', 'resetSession', 'setPinned', 'setSessionContext',
+  'setSessionUsage', 'addParseError', 'addEvent', 'showMessage',
+];
+const GLOBAL_CALLS = ['updateUsage', 'updateBlock', 'alert'];
+
+function parsePort(value) {
+  if (value === undefined || value === null) return DEFAULT_PORT;
+  if (!/^\d+$/.test(String(value)) || Number(value) > 65535) {
+    throw new Error(`bad port "${value}" (expected 0-65535)`);
+  }
+  return Number(value);
+}
+
+/**
+ * Parse "host:port", "host", ":port", "port" or "[::1]:port" (host defaults
+ * to localhost, port to 7350)
+ * Returns: { host, port }; throws on anything else
+ */
+function parseAddress(spec) {
+  if (/^\d+$/.test(String(spec))) return { host: 'localhost', port: parsePort(spec) };
+  const m = String(spec || '').trim().match(/^(?:\[([^\]]+)\]|([^:[\]]*))(?::(\d*))?$/);
+  const host = m && (m[1] || m[2]);
+  if (!host && !(m && m[3])) throw new Error(`bad address "${spec}" (expected host:port)`);
+  return { host: host || 'localhost', port: parsePort(m[3] === undefined ? undefined : m[3]) };
+}
+
+function formatAddress({ host, port }) {
+  return `${host.includes(':') ? `[${host}]` : host}:${port}`;
+}
+
+function isLoopback(host) {
+  return host === 'localhost' || host === '::1' || host.startsWith('127.');
+}
+
+// Hashed first so the comparison takes the same time whatever the lengths
+function tokenMatches(expected, given) {
+  const digest = (s) => crypto.createHash('sha256').update(String(s)).digest();
+  return typeof given === 'string' && crypto.timingSafeEqual(digest(expected), digest(given));
+}
+
+// "Authorization: Bearer <token>", or ?token= for clients that cannot set
+// headers (browsers' EventSource)
+function requestToken(req, url) {
+  const m = String(req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+  return m ? m[1].trim() : url.searchParams.get('token');
+}
+
+function sse(event, data) {
+  return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+function call(method, args) {
+  return sse('call', { method, args });
+}
+
+function emptyPanel() {
+  return { file: null, pinned: false, context: null, usage: null, parseError: null, events: [] };
+}
+
+/**
+ * Stand-in for HackviewUI on a `hackview serve` host: the panel and usage
+ * updates HackviewApp makes go to every connected client as server-sent
+ * events, and are kept so a client that connects later starts from the same
+ * screen. GET /events is the stream; with a token set, clients must send it
+ */
+class RemoteServer extends EventEmitter {
+  constructor(numSessions, { host = '127.0.0.1', port = DEFAULT_PORT, token = null } = {}) {
+    super();
+    this.numSessions = numSessions;
+    this.host = host;
+    this.port = port;
+    this.token = token;
+    this.clients = new Set(); // open event-stream responses
+    this.panels = [];         // per panel: latest messages a new client needs (see _snapshot)
+    for (let i = 0; i < numSessions; i++) this.panels.push(emptyPanel());
+    this.usage = null;
+    this.block = null;
+    this.server = null;
+    this._heartbeat = null;
+  }
+
+  init() {
+    this.server = http.createServer((req, res) => this._handle(req, res));
+    this.server.on('error', (e) => {
+      console.error(`hackview: cannot serve on ${formatAddress(this)}: ${e.message}`);
+      process.exit(1);
+    });
+    this.server.listen(this.port, this.host, () => {
+      this.port = this.server.address().port; // port 0 asks the OS for a free one
+      const panels = `${this.numSessions} panel${this.numSessions === 1 ? '' : 's'}`;
+      console.error(`hackview: serving ${panels} on http://${formatAddress(this)}/events${this.token ? ' (token required)' : ''}`);
+      if (!this.token && !isLoopback(this.host)) {
+        console.error('hackview: no --token set; anyone who can reach this port can read these sessions');
+      }
+      this.emit('listening', this.port);
+    });
+    // Comments keep proxies from closing idle streams and let clients spot dead links
+    this._heartbeat = setInterval(() => this._write(': ping\n\n'), HEARTBEAT_MS);
+  }
+
+  _handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const reply = (status, message) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: message }) + '\n');
+    };
+    if (url.pathname !== '/events') return reply(404, 'not found (the stream is at /events)');
+    if (req.method !== 'GET') return reply(405, 'method not allowed');
+    if (this.token && !tokenMatches(this.token, requestToken(req, url))) return reply(401, 'bad or missing token');
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+    });
+    res.write(sse('hello', { protocol: PROTOCOL, sessions: this.numSessions, version: require('../package.json').version }));
+    res.write(this._snapshot().join(''));
+    this.clients.add(res);
+    req.on('close', () => this.clients.delete(res));
+  }
+
+  // Every panel from a blank state, then the usage panel
+  _snapshot() {
+    const msgs = [];
+    this.panels.forEach((p, i) => {
+      msgs.push(call('setNoFile', [i]), call('setPinned', [i, p.pinned]));
+      if (p.file) msgs.push(call('setFile', [i, p.file]));
+      msgs.push(...[p.context, p.usage, p.parseError].filter(Boolean), ...p.events);
+    });
+    return msgs.concat([this.usage, this.block].filter(Boolean));
+  }
+
+  _write(msg) {
+    for (const res of this.clients) {
+      // A client that stopped reading would otherwise buffer forever; it
+      // gets a fresh snapshot when it reconnects
+      if (res.writableLength > MAX_CLIENT_BUFFER) {
+        this.clients.delete(res);
+        res.destroy();
+        continue;
+      }
+      res.write(msg);
+    }
+  }
+
+  _send(method, args) {
+    const msg = call(method, args);
+    this._write(msg);
+    return msg;
+  }
+
+  setFile(sessionIndex, filePath) {
+    const p = this.panels[sessionIndex];
+    if (filePath !== p.file) Object.assign(p, { ...emptyPanel(), pinned: p.pinned });
+    p.file = filePath;
+    this._send('setFile', [sessionIndex, filePath]);
+  }
+
+  setNoFile(sessionIndex) {
+    const p = this.panels[sessionIndex];
+    Object.assign(p, { ...emptyPanel(), pinned: p.pinned });
+    this._send('setNoFile', [sessionIndex]);
+  }
+
+  resetSession(sessionIndex) {
+    const p = this.panels[sessionIndex];
+    p.events = [];
+    p.parseError = null;
+    this._send('resetSession', [sessionIndex]);
+  }
+
+  setPinned(sessionIndex, pinned) {
+    this.panels[sessionIndex].pinned = pinned;
+    this._send('setPinned', [sessionIndex, pinned]);
+  }
+
+  setSessionContext(sessionIndex, context) {
+    this.panels[sessionIndex].context = this._send('setSessionContext', [sessionIndex, context]);
+  }
+
+  setSessionUsage(sessionIndex, totals) {
+    this.panels[sessionIndex].usage = this._send('setSessionUsage', [sessionIndex, totals]);
+  }
+
+  addParseError(sessionIndex, { line, stats }) {
+    this.panels[sessionIndex].parseError = this._send('addParseError', [sessionIndex, { line, stats }]);
+  }
+
+  addEvent(sessionIndex, event) {
+    const events = this.panels[sessionIndex].events;
+    events.push(this._send('addEvent', [sessionIndex, event]));
+    if (events.length > EVENT_BACKLOG) events.shift();
+  }
+
+  showMessage(sessionIndex, text) {
+    this._send('showMessage', [sessionIndex, text]);
+  }
+
+  updateUsage(data) {
+    this.usage = this._send('updateUsage', [data]);
+  }
+
+  updateBlock(block) {
+    this.block = this._send('updateBlock', [block]);
+  }
+
+  // Bell and flash are the viewer's choice
+  alert(alert) {
+    this._send('alert', [alert]);
+  }
+
+  // Filters and everything on screen belong to the clients
+  setHiddenTypes() {}
+  setPanelNote() {}
+  scrollSession() {}
+  showPicker() {}
+  updatePicker() { return false; }
+  onKey() {}
+
+  destroy() {
+    if (this._heartbeat) clearInterval(this._heartbeat);
+    for (const res of this.clients) {
+      try { res.end(); } catch (e) {}
+    }
+    this.clients.clear();
+    if (this.server) { try { this.server.close(); } catch (e) {} }
+  }
+}
+
+/**
+ * Client side of `hackview serve`: follows a server's event stream and
+ * reconnects when it drops
+ * Emits 'hello' ({ protocol, sessions, version }) on each connect, then
+ * 'call' (method, args) per UI update; 'disconnect' (err) when the link is
+ * lost, with err.fatal set when retrying cannot help (bad token, not a
+ * hackview server)
+ */
+class RemoteSource extends EventEmitter {
+  constructor({ host, port, token = null }) {
+    super();
+    this.host = host;
+    this.port = port;
+    this.token = token;
+    this.req = null;
+    this.retries = 0;
+    this._retryTimer = null;
+    this._stopped = false;
+  }
+
+  start() {
+    this._connect();
+  }
+
+  stop() {
+    this._stopped = true;
+    if (this._retryTimer) clearTimeout(this._retryTimer);
+    if (this.req) { try { this.req.destroy(); } catch (e) {} }
+  }
+
+  _connect() {
+    const headers = { Accept: 'text/event-stream' };
+    if (this.token) headers.Authorization = `Bearer ${this.token}`;
+    let lost = false;
+    const lose = (err) => {
+      if (lost || this._stopped) return;
+      lost = true;
+      this.req = null;
+      this.emit('disconnect', err);
+      if (!err.fatal) this._retry();
+    };
+
+    const req = http.get({ host: this.host, port: this.port, path: '/events', headers }, (res) => {
+      if (res.statusCode !== 200 || !/^text\/event-stream/.test(res.headers['content-type'] || '')) {
+        res.resume();
+        const err = new Error(res.statusCode === 401 ? 'token rejected' : `not a hackview server (HTTP ${res.statusCode})`);
+        err.fatal = res.statusCode === 401 || res.statusCode === 404;
+        req.destroy();
+        lose(err);
+        return;
+      }
+      res.setEncoding('utf8');
+      let buffer = '';
+      res.on('data', (chunk) => {
+        buffer += chunk;
+        let end;
+        while ((end = buffer.indexOf('\n\n')) !== -1) {
+          const block = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+          if (this._dispatch(block) === false) {
+            const err = new Error('unsupported server version');
+            err.fatal = true;
+            req.destroy();
+            lose(err);
+            return;
+          }
+        }
+      });
+      res.on('end', () => lose(new Error('server closed the stream')));
+      res.on('error', (e) => lose(e));
+    });
+    req.setTimeout(IDLE_TIMEOUT_MS, () => req.destroy(new Error('server stopped responding')));
+    req.on('error', (e) => lose(e));
+    this.req = req;
+  }
+
+  // One SSE message: "event:" and "data:" lines; ":" lines are heartbeats
+  _dispatch(block) {
+    let event = 'message';
+    const data = [];
+    for (const line of block.split('\n')) {
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      else if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
+    }
+    if (data.length === 0) return true;
+
+    let msg;
+    try {
+      msg = JSON.parse(data.join('\n'));
+    } catch (e) {
+      return true; // ignore
+    }
+    if (event === 'hello') {
+      if (msg.protocol !== PROTOCOL) return false;
+      this.retries = 0;
+      this.emit('hello', msg);
+    } else if (event === 'call' && msg && Array.isArray(msg.args)
+      && (PANEL_CALLS.includes(msg.method) || GLOBAL_CALLS.includes(msg.method))) {
+      this.emit('call', msg.method, msg.args);
+    }
+    return true;
+  }
+
+  _retry() {
+    const delay = RETRY_MS[Math.min(this.retries, RETRY_MS.length - 1)];
+    this.retries++;
+    this._retryTimer = setTimeout(() => {
+      this._retryTimer = null;
+      if (!this._stopped) this._connect();
+    }, delay);
+  }
+}
+
+module.exports = {
+  RemoteServer,
+  RemoteSource,
+  PANEL_CALLS,
+  DEFAULT_PORT,
+  parseAddress,
+  parsePort,
+  formatAddress,
+};
@@ -0,0 +1,181 @@
+'use strict';
+
+const fs = require('fs');
+const { EventEmitter } = require('events');
+const { parseRecord } = require('./parser');
+
+/**
+ * Load a session log as a playback timeline
+ * Returns: [{ line, time, at }] where time is the record timestamp (lines
+ * without one inherit the previous) and at is the playback offset in ms,
+ * with idle gaps longer than maxGapMs squeezed down to maxGapMs (0 = keep)
+ */
+function loadTimeline(filePath, maxGapMs = 0) {
+  const lines = fs.readFileSync(filePath, 'utf8').split('\n').filter(l => l.trim());
+
+  let last = null;
+  const timeline = lines.map((line) => {
+    const record = parseRecord(line);
+    const t = record ? Date.parse(record.timestamp) : NaN;
+    if (!Number.isNaN(t)) last = t;
+    return { line, time: last, at: 0 };
+  });
+
+  const first = timeline.find(e => e.time !== null);
+  let at = 0;
+  for (let i = 0; i < timeline.length; i++) {
+    const e = timeline[i];
+    if (e.time === null) e.time = first ? first.time : 0;
+    if (i > 0) {
+      const gap = Math.max(0, e.time - timeline[i - 1].time);
+      at += maxGapMs > 0 ? Math.min(gap, maxGapMs) : gap;
+    }
+    e.at = at;
+  }
+  return timeline;
+}
+
+/**
+ * Clock-driven line source: emits 'line' paced by the recorded timestamps
+ * at `speed`x (0 = everything at once), 'reset' before a backward seek
+ * replays from the top, and 'status' whenever the position moves
+ */
+class ReplayPlayer extends EventEmitter {
+  constructor(timeline, speed = 1) {
+    super();
+    this.timeline = timeline;
+    this.speed = speed;
+    this.index = 0;       // next line to emit
+    this.position = 0;    // playback offset in ms
+    this.paused = false;
+    this.timer = null;
+    this.lastTick = 0;
+  }
+
+  get duration() {
+    return this.timeline.length > 0 ? this.timeline[this.timeline.length - 1].at : 0;
+  }
+
+  get done() {
+    return this.index >= this.timeline.length;
+  }
+
+  start() {
+    if (this.speed <= 0) {
+      this._emitUntil(Infinity);
+      this.position = this.duration;
+      this._emitStatus();
+      return;
+    }
+    this.lastTick = Date.now();
+    this._emitStatus();
+    this._schedule();
+  }
+
+  stop() {
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  toggle() {
+    if (this.paused) this.resume();
+    else this.pause();
+  }
+
+  pause() {
+    this._advanceClock();
+    this.paused = true;
+    this.stop();
+    this._emitStatus();
+  }
+
+  resume() {
+    this.paused = false;
+    this.lastTick = Date.now();
+    this._emitStatus();
+    this._schedule();
+  }
+
+  /**
+   * Pause and emit exactly the next line
+   */
+  step() {
+    if (!this.paused) this.pause();
+    if (this.done) return;
+    const next = this.timeline[this.index];
+    this.position = next.at;
+    this._emitUntil(next.at, 1);
+    this._emitStatus();
+  }
+
+  /**
+   * Move the playback position by deltaMs; going back replays from the top
+   */
+  seek(deltaMs) {
+    this._advanceClock();
+    const target = Math.max(0, Math.min(this.duration, this.position + deltaMs));
+    if (target < this.position) {
+      this.index = 0;
+      this.emit('reset');
+    }
+    this.position = target;
+    this._emitUntil(target);
+    this._emitStatus();
+    this._schedule();
+  }
+
+  setSpeed(speed) {
+    this._advanceClock();
+    this.speed = Math.max(0.25, Math.min(64, speed));
+    this._emitStatus();
+    this._schedule();
+  }
+
+  _advanceClock() {
+    const now = Date.now();
+    if (!this.paused && this.speed > 0) {
+      this.position = Math.min(this.duration, this.position + (now - this.lastTick) * this.speed);
+    }
+    this.lastTick = now;
+  }
+
+  _emitUntil(at, limit = Infinity) {
+    let n = 0;
+    while (!this.done && this.timeline[this.index].at <= at && n < limit) {
+      this.emit('line', this.timeline[this.index].line);
+      this.index++;
+      n++;
+    }
+  }
+
+  _schedule() {
+    this.stop();
+    if (this.paused || this.done || this.speed <= 0) return;
+
+    // Wake for the next line, or at least once a second to move the clock
+    const next = this.timeline[this.index];
+    const delay = Math.max(0, Math.min(1000, (next.at - this.position) / this.speed));
+    this.timer = setTimeout(() => {
+      this._advanceClock();
+      this._emitUntil(this.position);
+      this._emitStatus();
+      this._schedule();
+    }, delay);
+  }
+
+  _emitStatus() {
+    const current = this.timeline[Math.max(0, this.index - 1)];
+    this.emit('status', {
+      paused: this.paused,
+      done: this.done,
+      speed: this.speed,
+      position: this.position,
+      duration: this.duration,
+      index: this.index,
+      total: this.timeline.length,
+      time: current ? current.time : null,
+    });
+  }
+}
+
+module.exports = { ReplayPlayer, loadTimeline };
@@ -0,0 +1,483 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { EventEmitter } = require('events');
+const chokidar = require('chokidar');
+const { parseRecord } = require('./parser');
+const { extractUsageEntry } = require('./usage');
+const { readCompleteLines } = require('./reader');
+
+// Directory levels searched below each dir: its own files, its project
+// dirs, and one level of grouping above those
+const DEFAULT_MAX_DEPTH = 2;
+
+/**
+ * Normalize discovery options from the CLI or config
+ * include/exclude are globs (arrays or comma-separated strings) matched
+ * against a session's project path; see projectMatches
+ * Returns: { maxDepth, include: [{ glob, re }], exclude: [{ glob, re }] }
+ */
+function parseDiscovery({ maxDepth, include, exclude } = {}) {
+  if (maxDepth !== undefined && maxDepth !== null && !/^\d+$/.test(String(maxDepth))) {
+    throw new Error(`bad max depth "${maxDepth}" (expected 0 or more)`);
+  }
+  return {
+    maxDepth: maxDepth === undefined || maxDepth === null ? DEFAULT_MAX_DEPTH : Number(maxDepth),
+    include: globList(include),
+    exclude: globList(exclude),
+  };
+}
+
+function globList(value) {
+  return [].concat(value || [])
+    .flatMap(v => String(v).split(','))
+    .map(v => v.trim())
+    .filter(Boolean)
+    .map(glob => ({ glob, re: globToRegExp(glob) }));
+}
+
+// * and ? stay inside one path segment; ** spans any number of them
+function globToRegExp(glob) {
+  let re = '';
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (glob.startsWith('**/', i)) { re += '(?:.*/)?'; i += 2; }
+    else if (glob.startsWith('**', i)) { re += '.*'; i++; }
+    else if (c === '*') re += '[^/]*';
+    else if (c === '?') re += '[^/]';
+    else re += c.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  }
+  return new RegExp(`^${re}$`);
+}
+
+/**
+ * A session's project path: its directory relative to the dir it was found
+ * under, '/'-separated, or that dir's own name for files directly inside it
+ */
+function projectPath(root, dir) {
+  const rel = path.relative(root, dir).split(path.sep).join('/');
+  return rel || path.basename(root);
+}
+
+// Globs with a slash match the whole project path, others any one segment
+// of it, so "*work*" finds a slug at any depth and "archive" a whole subtree
+function projectMatches(globs, projPath) {
+  const segments = projPath.split('/');
+  return globs.some(g => (g.glob.includes('/') ? g.re.test(projPath) : segments.some(seg => g.re.test(seg))));
+}
+
+function isIncluded(discovery, projPath) {
+  if (projectMatches(discovery.exclude, projPath)) return false;
+  return discovery.include.length === 0 || projectMatches(discovery.include, projPath);
+}
+
+const decodedSlugs = new Map(); // slug -> decoded path
+
+/**
+ * Best guess at the directory a project slug was made from, for sessions whose
+ * records carry no cwd. Claude Code turns every '/' and '.' into '-', so a
+ * dash may be either; runs of parts that name an existing directory win
+ * ("-Users-gon-my-app" → "/Users/gon/my-app"), the rest become segments.
+ * Slugs that do not start with '-' are returned as they are
+ */
+function decodeProjectSlug(slug) {
+  if (!slug || !slug.startsWith('-')) return slug;
+  if (decodedSlugs.has(slug)) return decodedSlugs.get(slug);
+
+  // "--" is a '/' followed by a '.': "-Users-gon--config" → [Users, gon, .config]
+  const parts = [];
+  for (const part of slug.slice(1).split('-')) {
+    if (parts.length > 0 && parts[parts.length - 1] === '') parts[parts.length - 1] = `.${part}`;
+    else parts.push(part);
+  }
+
+  let dir = '/';
+  for (let i = 0; i < parts.length;) {
+    let j = parts.length;
+    while (j > i + 1 && !isDirectory(path.join(dir, parts.slice(i, j).join('-')))) j--;
+    dir = path.join(dir, parts.slice(i, j).join('-'));
+    i = j;
+  }
+  decodedSlugs.set(slug, dir);
+  return dir;
+}
+
+function isDirectory(p) {
+  try {
+    return fs.statSync(p).isDirectory();
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Collect every .jsonl session file across dirs, newest first, searching
+ * up to maxDepth directory levels down; excluded directories are skipped whole
+ * and symlinked ones followed, each real directory once
+ * Returns: [{ file, mtime, size, project, sessionId }]
+ */
+function listSessions(dirs, discovery = parseDiscovery()) {
+  const all = [];
+  const seen = new Set(); // real paths of the directories walked
+  for (const root of dirs) walkSessions(root, root, 0, discovery, all, seen);
+  return all.sort((a, b) => b.mtime - a.mtime);
+}
+
+function walkSessions(root, dir, depth, discovery, out, seen) {
+  let entries;
+  try {
+    const real = fs.realpathSync(dir);
+    if (seen.has(real)) return;
+    seen.add(real);
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch (e) {
+    return;
+  }
+
+  const included = isIncluded(discovery, projectPath(root, dir));
+  for (const entry of entries) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory() || (entry.isSymbolicLink() && isDirectory(full))) {
+      if (depth < discovery.maxDepth && !projectMatches(discovery.exclude, projectPath(root, full))) {
+        walkSessions(root, full, depth + 1, discovery, out, seen);
+      }
+    } else if (included && entry.name.endsWith('.jsonl')) {
+      const session = statSession(full);
+      if (session) out.push(session);
+    }
+  }
+}
+
+function statSession(file) {
+  try {
+    const stat = fs.statSync(file);
+    return {
+      file,
+      mtime: stat.mtimeMs,
+      size: stat.size,
+      project: path.basename(path.dirname(file)),
+      sessionId: path.basename(file, '.jsonl'),
+    };
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Turn a CLI/config panel value into a panel spec
+ * Accepts "project:<slug>", "session:<id>", a path to a .jsonl file, a bare
+ * session id or project slug, or an object { file | session | project }
+ * Returns: { file } | { session } | { project } | { match } or null
+ */
+function parsePanelSpec(value) {
+  if (!value) return null;
+
+  if (typeof value === 'object') {
+    if (value.file) return { file: expandHome(value.file) };
+    if (value.session) return { session: String(value.session) };
+    if (value.project) return { project: String(value.project) };
+    return null;
+  }
+
+  const str = String(value).trim();
+  if (!str) return null;
+  if (str.startsWith('project:')) return { project: str.slice('project:'.length) };
+  if (str.startsWith('session:')) return { session: str.slice('session:'.length) };
+  if (str.endsWith('.jsonl') || str.includes(path.sep) || str.startsWith('~')) return { file: expandHome(str) };
+  return { match: str };
+}
+
+function expandHome(p) {
+  if (p.startsWith('~')) return path.join(os.homedir(), p.slice(1));
+  return path.resolve(p);
+}
+
+/**
+ * Resolve a panel spec against the current session list (newest first)
+ * Bare matches try a session id (or id prefix) first, then a project slug
+ */
+function resolvePanelSpec(spec, sessions) {
+  if (!spec) return null;
+  if (spec.file) return spec.file;
+
+  const bySession = (id) => {
+    const hit = sessions.find(s => s.sessionId === id) || sessions.find(s => s.sessionId.startsWith(id));
+    return hit ? hit.file : null;
+  };
+  const byProject = (slug) => {
+    const hit = sessions.find(s => s.project === slug) || sessions.find(s => s.project.includes(slug));
+    return hit ? hit.file : null;
+  };
+
+  if (spec.session) return bySession(spec.session);
+  if (spec.project) return byProject(spec.project);
+  if (spec.match) return bySession(spec.match) || byProject(spec.match);
+  return null;
+}
+
+/**
+ * Single source of discovered session files for every panel
+ * Scans dirs once, then keeps an mtime-ordered index current from fs events
+ * (new project directories included), with a slow full rescan as a safety
+ * net. Emits 'change' (debounced) and 'session-added' (session) for files
+ * that appear after the first scan
+ */
+class SessionRegistry extends EventEmitter {
+  constructor(dirs, discovery = parseDiscovery(), rescanMs = 60000) {
+    super();
+    this.dirs = dirs || [];
+    this.discovery = discovery; // { maxDepth, include, exclude } (see parseDiscovery)
+    this.rescanMs = rescanMs;
+    this.index = new Map(); // file -> { file, mtime, size, project, sessionId }
+    this.sorted = null;     // cached newest-first list, null when stale
+    this.validDirs = [];
+    this.dirWatcher = null;
+    this.watchedDirs = new Set();
+    this.rescanTimer = null;
+    this.changeTimer = null;
+    this.scanned = false;
+  }
+
+  start() {
+    this.rescan();
+    this.rescanTimer = setInterval(() => this.rescan(), this.rescanMs);
+
+    this._watchDirs();
+  }
+
+  // Watch every dir that exists (again after a rescan finds new ones), as
+  // deep as discovery searches; chokidar picks up new subdirectories itself
+  _watchDirs() {
+    const fresh = this.validDirs.filter(d => !this.watchedDirs.has(d));
+    if (fresh.length === 0) return;
+    fresh.forEach(d => this.watchedDirs.add(d));
+    try {
+      if (this.dirWatcher) {
+        this.dirWatcher.add(fresh);
+        return;
+      }
+      this.dirWatcher = chokidar.watch(fresh, {
+        depth: this.discovery.maxDepth,
+        ignoreInitial: true,
+        persistent: true,
+        // Excluded directories are not watched at all
+        ignored: (p) => !p.endsWith('.jsonl') && this._isExcludedDir(p),
+      });
+      const update = (filePath) => {
+        if (filePath.endsWith('.jsonl') && this._accepts(filePath)) this._update(filePath);
+      };
+      this.dirWatcher.on('add', update);
+      this.dirWatcher.on('change', update);
+      this.dirWatcher.on('unlink', update);
+    } catch (e) {
+      // ignore; periodic rescan still runs
+    }
+  }
+
+  // The watched dir a path lies in, or null
+  _rootOf(p) {
+    return this.validDirs.find(d => p === d || p.startsWith(d + path.sep)) || null;
+  }
+
+  _isExcludedDir(p) {
+    const root = this._rootOf(p);
+    return !!root && p !== root && projectMatches(this.discovery.exclude, projectPath(root, p));
+  }
+
+  // Whether discovery would list this file: within maxDepth and included
+  _accepts(filePath) {
+    const root = this._rootOf(filePath);
+    if (!root) return false;
+    const dir = path.dirname(filePath);
+    const depth = dir === root ? 0 : path.relative(root, dir).split(path.sep).length;
+    return depth <= this.discovery.maxDepth && isIncluded(this.discovery, projectPath(root, dir));
+  }
+
+  stop() {
+    if (this.rescanTimer) clearInterval(this.rescanTimer);
+    if (this.changeTimer) clearTimeout(this.changeTimer);
+    if (this.dirWatcher) { try { this.dirWatcher.close(); } catch (e) {} }
+  }
+
+  rescan() {
+    this.validDirs = this.dirs.filter(d => {
+      try { fs.accessSync(d); return true; } catch (e) { return false; }
+    });
+    const known = this.index;
+    this.index = new Map(listSessions(this.validDirs, this.discovery).map(s => [s.file, s]));
+    this.sorted = null;
+    if (this.scanned) {
+      for (const session of this.index.values()) {
+        if (!known.has(session.file)) this.emit('session-added', session);
+      }
+    }
+    if (this.scanned) this._watchDirs();
+    this.scanned = true;
+    this._scheduleChange();
+  }
+
+  /**
+   * Newest-first list of known sessions
+   */
+  sessions() {
+    if (!this.sorted) this.sorted = [...this.index.values()].sort((a, b) => b.mtime - a.mtime);
+    return this.sorted;
+  }
+
+  /**
+   * Hand out one file per panel: pinned specs resolve first, then unpinned
+   * panels take the newest files nobody holds, in panel order
+   * specs: per-panel spec or null; returns file path or null per panel
+   */
+  assign(specs) {
+    const sessions = this.sessions();
+    const files = specs.map(spec => (spec ? resolvePanelSpec(spec, sessions) : null));
+    const claimed = new Set(files.filter(Boolean));
+
+    const free = sessions.filter(s => !claimed.has(s.file));
+    let next = 0;
+    for (let i = 0; i < specs.length; i++) {
+      if (specs[i]) continue;
+      files[i] = next < free.length ? free[next++].file : null;
+    }
+    return files;
+  }
+
+  _update(filePath) {
+    const session = statSession(filePath);
+    if (session && !this.index.has(filePath)) this.emit('session-added', session);
+    if (session) this.index.set(filePath, session);
+    else this.index.delete(filePath);
+    this.sorted = null;
+    this._scheduleChange();
+  }
+
+  _scheduleChange() {
+    if (this.changeTimer) return;
+    this.changeTimer = setTimeout(() => {
+      this.changeTimer = null;
+      this.emit('change');
+    }, 200);
+  }
+}
+
+/**
+ * First human prompt in a user record, or null
+ * Tool results, meta records and <command-...> wrappers are not prompts
+ */
+function extractPrompt(record) {
+  if (!record || record.type !== 'user' || record.isMeta || !record.message) return null;
+  const content = record.message.content;
+  let text = null;
+  if (typeof content === 'string') {
+    text = content;
+  } else if (Array.isArray(content)) {
+    const block = content.find(b => b && b.type === 'text' && b.text);
+    text = block ? block.text : null;
+  }
+  if (!text || !text.trim() || text.trimStart().startsWith('<')) return null;
+  return text.trim();
+}
+
+// Bytes of session logs read per tick while summarizing for the picker
+const SUMMARY_CHUNK = 1024 * 1024;
+// How often a running summary refresh reports progress
+const SUMMARY_PROGRESS_MS = 100;
+
+/**
+ * Incrementally maintained per-file summaries for the session picker
+ */
+class SessionSummaries {
+  constructor() {
+    this.cache = new Map(); // file -> { offset, size, firstPrompt, costs: Map<key, cost> }
+    this._refresh = null;   // running refresh; a new one replaces it
+  }
+
+  _state(session) {
+    let state = this.cache.get(session.file);
+    if (!state || session.size < state.offset) {
+      state = { offset: 0, size: 0, firstPrompt: null, costs: new Map() };
+      this.cache.set(session.file, state);
+    }
+    return state;
+  }
+
+  /**
+   * A session's summary from what has been read of it so far; `pending`
+   * until the file has been read up to its current size (see refresh)
+   */
+  summarize(session) {
+    const state = this._state(session);
+    let cost = 0;
+    for (const c of state.costs.values()) cost += c;
+    return { ...session, firstPrompt: state.firstPrompt, cost, pending: state.size !== session.size };
+  }
+
+  summarizeAll(sessions) {
+    return sessions.map(s => this.summarize(s));
+  }
+
+  /**
+   * Read the sessions' unread lines a chunk per tick, newest session first,
+   * so a large log does not stall the UI. onProgress(summaries) runs as
+   * results come in and once at the end; returning false stops the refresh
+   */
+  refresh(sessions, onProgress) {
+    const run = {};
+    this._refresh = run;
+    let i = 0;
+    let chunk = SUMMARY_CHUNK;
+    let reported = Date.now();
+
+    const step = () => {
+      if (this._refresh !== run) return;
+      while (i < sessions.length && this._state(sessions[i]).size === sessions[i].size) i++;
+      if (i >= sessions.length) {
+        this._refresh = null;
+        onProgress(this.summarizeAll(sessions));
+        return;
+      }
+
+      const session = sessions[i];
+      const state = this._state(session);
+      const end = Math.min(session.size, state.offset + chunk);
+      try {
+        const { lines, offset } = readCompleteLines(session.file, state.offset, end);
+        chunk = offset === state.offset ? chunk * 2 : SUMMARY_CHUNK; // a line longer than the chunk
+        state.offset = offset;
+        for (const line of lines) {
+          const record = parseRecord(line);
+          if (!state.firstPrompt) state.firstPrompt = extractPrompt(record);
+          const entry = extractUsageEntry(record);
+          if (entry) state.costs.set(entry.key, entry.cost);
+        }
+        if (end === session.size) state.size = session.size;
+      } catch (e) {
+        state.size = session.size; // unreadable right now; keep what we have
+      }
+
+      if (Date.now() - reported >= SUMMARY_PROGRESS_MS) {
+        reported = Date.now();
+        if (onProgress(this.summarizeAll(sessions)) === false) {
+          this._refresh = null;
+          return;
+        }
+      }
+      setImmediate(step);
+    };
+    setImmediate(step);
+  }
+}
+
+module.exports = {
+  SessionRegistry,
+  SessionSummaries,
+  listSessions,
+  parseDiscovery,
+  decodeProjectSlug,
+  parsePanelSpec,
+  resolvePanelSpec,
+  extractPrompt,
+};
@@ -0,0 +1,246 @@
+'use strict';
+
+// ─── Semantic colour roles ───────────────────────────────────────────────────
+// Every colour the UI draws comes from one of these roles. Values are blessed
+// colours: a name such as 'yellow' or 'light-red', '#rrggbb' or an xterm-256 index
+const ROLES = [
+  // surfaces
+  'fg', 'bg', 'border', 'borderActive', 'borderFocus', 'flashBorder',
+  'panelActive', 'flash', 'selected', 'dialog', 'dialogBorder', 'alert', 'alertBg', 'alertBorder',
+  // text
+  'title', 'muted', 'timestamp', 'value', 'faint', 'accent', 'info', 'user', 'text', 'thinking',
+  'tool', 'success', 'warning', 'error', 'cost', 'search', 'barEmpty',
+  // highlights
+  'matchFg', 'matchBg', 'matchLine', 'matchLineCurrent', 'cursor',
+];
+
+// Background tints that only make sense with a real palette; on 16-colour
+// terminals they are dropped unless the theme names a basic colour for them
+const TINTS = ['panelActive', 'flash', 'selected', 'matchLine', 'matchLineCurrent', 'cursor'];
+
+// What a tint turns into once it has no colour
+const TINT_ATTRS = { cursor: 'inverse', matchLineCurrent: 'underline' };
+
+const THEMES = {
+  matrix: {
+    palette: {
+      fg: '#00ff00', bg: '#000000',
+      border: '#005500', borderActive: '#00aa00', borderFocus: '#006666', flashBorder: '#00ff44',
+      panelActive: '#001a00', flash: '#003300', selected: '#003300',
+      dialog: '#cccccc', dialogBorder: '#00ffff', alert: '#cccccc', alertBg: '#ff4444', alertBorder: '#ffff00',
+      title: 'green', muted: '#006666', timestamp: '#006666', value: '#00aa00', faint: '#005500',
+      accent: '#00ffff', info: 'cyan', user: '#00ffff', text: 'white', thinking: '#00cc66',
+      tool: 'yellow', success: 'green', warning: 'yellow', error: 'red', cost: 'yellow',
+      search: '#ffff00', barEmpty: '#003300',
+      matchFg: 'black', matchBg: 'yellow', matchLine: '#3a3a00', matchLineCurrent: '#666600', cursor: '#004466',
+    },
+    basic: { barEmpty: 'light-black', faint: 'light-black', cursor: 'blue', selected: 'blue' },
+  },
+
+  // The themes below use xterm-256 indices: blessed matches '#rrggbb' to the
+  // nearest of its palette and drifts toward the basic 16 for most shades
+  amber: {
+    palette: {
+      fg: 214, bg: 16,
+      border: 58, borderActive: 136, borderFocus: 172, flashBorder: 221,
+      panelActive: 234, flash: 58, selected: 94,
+      dialog: 223, dialogBorder: 220, alert: 231, alertBg: 160, alertBorder: 220,
+      title: 214, muted: 94, timestamp: 94, value: 172, faint: 58,
+      accent: 220, info: 222, user: 220, text: 223, thinking: 137,
+      tool: 208, success: 214, warning: 227, error: 202, cost: 227,
+      search: 227, barEmpty: 236,
+      matchFg: 16, matchBg: 220, matchLine: 236, matchLineCurrent: 239, cursor: 94,
+    },
+    basic: {
+      fg: 'yellow', title: 'yellow', muted: 'light-black', timestamp: 'light-black', value: 'yellow', faint: 'light-black',
+      accent: 'light-yellow', info: 'light-yellow', user: 'light-yellow', text: 'white', thinking: 'yellow',
+      tool: 'light-red', success: 'yellow', barEmpty: 'light-black', cursor: 'red', selected: 'red',
+    },
+  },
+
+  cyan: {
+    palette: {
+      fg: 45, bg: 16,
+      border: 24, borderActive: 31, borderFocus: 37, flashBorder: 87,
+      panelActive: 233, flash: 23, selected: 24,
+      dialog: 195, dialogBorder: 81, alert: 231, alertBg: 160, alertBorder: 227,
+      title: 45, muted: 66, timestamp: 66, value: 74, faint: 240,
+      accent: 87, info: 117, user: 87, text: 254, thinking: 67,
+      tool: 221, success: 79, warning: 221, error: 203, cost: 221,
+      search: 227, barEmpty: 236,
+      matchFg: 16, matchBg: 221, matchLine: 236, matchLineCurrent: 25, cursor: 60,
+    },
+    basic: {
+      fg: 'cyan', title: 'cyan', muted: 'light-black', timestamp: 'light-black', value: 'cyan', faint: 'light-black',
+      accent: 'light-cyan', user: 'light-cyan', text: 'white', thinking: 'blue', barEmpty: 'light-black',
+      cursor: 'blue', selected: 'blue',
+    },
+  },
+
+  'high-contrast': {
+    palette: {
+      fg: 'light-white', bg: 'black',
+      border: 'white', borderActive: 'light-green', borderFocus: 'light-yellow', flashBorder: 'light-green',
+      selected: 'blue',
+      dialog: 'light-white', dialogBorder: 'light-yellow', alert: 'light-white', alertBg: 'red', alertBorder: 'light-yellow',
+      title: 'light-white', muted: 'white', timestamp: 'white', value: 'light-cyan', faint: 'white',
+      accent: 'light-yellow', info: 'light-cyan', user: 'light-cyan', text: 'light-white', thinking: 'light-magenta',
+      tool: 'light-yellow', success: 'light-green', warning: 'light-yellow', error: 'light-red', cost: 'light-yellow',
+      search: 'light-yellow', barEmpty: 'white',
+      matchFg: 'black', matchBg: 'light-yellow', matchLine: 'blue', matchLineCurrent: 'magenta', cursor: 'blue',
+    },
+    basic: { matchLine: 'blue', matchLineCurrent: 'magenta', cursor: 'blue', selected: 'blue' },
+  },
+
+  light: {
+    palette: {
+      fg: 235, bg: 231,
+      border: 248, borderActive: 65, borderFocus: 31, flashBorder: 29,
+      panelActive: 255, flash: 194, selected: 252,
+      dialog: 235, dialogBorder: 31, alert: 231, alertBg: 160, alertBorder: 235,
+      title: 22, muted: 242, timestamp: 242, value: 29, faint: 246,
+      accent: 31, info: 24, user: 19, text: 235, thinking: 60,
+      tool: 94, success: 29, warning: 130, error: 160, cost: 94,
+      search: 130, barEmpty: 252,
+      matchFg: 16, matchBg: 221, matchLine: 230, matchLineCurrent: 228, cursor: 153,
+    },
+    basic: {
+      fg: 'black', bg: 'white', border: 'black', borderActive: 'green', borderFocus: 'blue', flashBorder: 'green',
+      dialog: 'black', dialogBorder: 'blue', alert: 'white', alertBorder: 'black',
+      title: 'green', muted: 'blue', timestamp: 'blue', value: 'green', faint: 'black', accent: 'blue',
+      info: 'blue', user: 'blue', text: 'black', thinking: 'magenta', tool: 'red', success: 'green',
+      warning: 'red', error: 'red', cost: 'red', search: 'red', barEmpty: 'black', matchBg: 'yellow',
+      selected: 'cyan', cursor: 'cyan',
+    },
+  },
+
+  // No colours at all: default terminal colours plus bold/inverse/underline
+  monochrome: { palette: {}, basic: {} },
+};
+
+/**
+ * One resolved theme. Colours depend on how many the terminal has, so the
+ * UI calls setColors() once its screen knows
+ */
+class Theme {
+  constructor(name, palette, basic = {}) {
+    this.name = name;
+    this.palette = normalize(palette);
+    this.basic = normalize(basic);
+    this.colors = 256;
+  }
+
+  setColors(n) {
+    this.colors = n;
+  }
+
+  /**
+   * Colour for a role, or null when it should be left at the terminal default
+   */
+  color(role) {
+    if (this.colors < 8) return null;
+    if (this.colors <= 16) {
+      if (this.basic[role] !== undefined) return this.basic[role];
+      if (TINTS.includes(role)) return null;
+    }
+    const c = this.palette[role];
+    return c === undefined || c === '' ? null : c;
+  }
+
+  /**
+   * Background for a surface role, falling back to the theme's background
+   */
+  background(role) {
+    const c = this.color(role);
+    return c !== null ? c : this.color('bg');
+  }
+
+  /**
+   * Text in a role's colour; closes with {/} like the rest of the UI's tags
+   */
+  fg(role, text) {
+    const c = this.color(role);
+    return c !== null ? `{${c}-fg}${text}{/}` : text;
+  }
+
+  /**
+   * Opening tag that tints a line: the role's background, or its attribute
+   * fallback when there is no colour to use
+   */
+  bgTag(role) {
+    const c = this.color(role);
+    if (c !== null) return `{${c}-bg}`;
+    return TINT_ATTRS[role] ? `{${TINT_ATTRS[role]}}` : '';
+  }
+
+  /**
+   * A search term marked inside a (possibly tinted) line
+   */
+  mark(text) {
+    const fg = this.color('matchFg');
+    const bg = this.color('matchBg');
+    if (bg === null) return `{inverse}${text}{/inverse}`;
+    return fg !== null
+      ? `{${fg}-fg}{${bg}-bg}${text}{/${bg}-bg}{/${fg}-fg}`
+      : `{${bg}-bg}${text}{/${bg}-bg}`;
+  }
+
+  /**
+   * Widget style: { fg, bg, border: { fg } } from roles, bg defaulting to the theme's
+   */
+  style(fgRole, borderRole) {
+    const style = { fg: this.color(fgRole), bg: this.color('bg') };
+    if (borderRole) style.border = { fg: this.color(borderRole) };
+    return style;
+  }
+}
+
+// Tags only know 'light-red' (or 'bright-red'); styles accept either spelling
+function normalize(colors) {
+  const out = {};
+  for (const [role, c] of Object.entries(colors)) {
+    out[role] = typeof c === 'string' ? c.replace(/^(light|bright)[\s-]?(?=[a-z])/i, 'light-').replace(/^grey$|^gray$/i, 'light-black') : c;
+  }
+  return out;
+}
+
+function checkRoles(name, roles) {
+  for (const role of Object.keys(roles || {})) {
+    if (!ROLES.includes(role)) throw new Error(`theme "${name}": unknown colour role "${role}"`);
+  }
+}
+
+/**
+ * Resolve a theme by name or definition. Config themes look like
+ * { extends: 'amber', tool: '#ff00ff', basic: { tool: 'magenta' } }; `custom`
+ * maps names to such definitions. NO_COLOR always wins with monochrome
+ */
+function resolveTheme(spec = 'matrix', custom = {}) {
+  const resolving = new Set(); // config themes being built, to catch cycles
+  const build = (name, def) => {
+    if (typeof def === 'string') {
+      // A config theme may shadow (and extend) the built-in of the same name
+      if (custom[def] && !resolving.has(def)) {
+        resolving.add(def);
+        return build(def, custom[def]);
+      }
+      if (THEMES[def]) return new Theme(def, { ...THEMES[def].palette }, { ...THEMES[def].basic });
+      if (custom[def]) throw new Error(`theme "${def}" extends itself (directly or through another theme)`);
+      const names = [...new Set([...Object.keys(THEMES), ...Object.keys(custom)])];
+      throw new Error(`unknown theme "${def}" (expected ${names.join(', ')})`);
+    }
+    if (!def || typeof def !== 'object' || Array.isArray(def)) {
+      throw new Error(`theme "${name}" must be a name or an object of colour roles`);
+    }
+    const { extends: base = 'matrix', basic, ...roles } = def;
+    checkRoles(name, roles);
+    checkRoles(name, basic);
+    const parent = build(base, base);
+    return new Theme(name, { ...parent.palette, ...roles }, { ...parent.basic, ...basic });
+  };
+  const theme = build(typeof spec === 'string' ? spec : 'custom', spec);
+  // Checked last so a bad config still reports its error
+  return process.env.NO_COLOR ? new Theme('monochrome', {}, {}) : theme;
+}
+
+module.exports = { Theme, THEMES, ROLES, resolveTheme };
@@ -0,0 +1,74 @@
+'use strict';
+
+/**
+ * Event times as the UI shows them: a clock time in local time or an IANA
+ * timezone, or relative ("3m ago"), plus the calendar day for date separators
+ */
+class TimeFormat {
+  /**
+   * timezone: IANA name such as 'Europe/Berlin' or 'UTC'; null or 'local' for
+   * the system's. Throws on names Intl does not know
+   */
+  constructor({ timezone = null, relative = false } = {}) {
+    this.timezone = timezone && timezone !== 'local' ? timezone : undefined;
+    this.relative = relative;
+    try {
+      this._parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: this.timezone,
+        hourCycle: 'h23',
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', second: '2-digit',
+      });
+      this._dayLabel = new Intl.DateTimeFormat(undefined, {
+        timeZone: this.timezone,
+        weekday: 'short', year: 'numeric', month: 'short', day: 'numeric',
+      });
+    } catch (e) {
+      throw new Error(`unknown timezone "${timezone}"`);
+    }
+  }
+
+  _fields(ms) {
+    const f = {};
+    for (const { type, value } of this._parts.formatToParts(ms)) f[type] = value;
+    return f;
+  }
+
+  /**
+   * HH:MM:SS
+   */
+  clock(ms) {
+    const f = this._fields(ms);
+    return `${f.hour}:${f.minute}:${f.second}`;
+  }
+
+  /**
+   * Line stamp: the clock time, or the age when relative; always 8 wide
+   */
+  stamp(ms, now = Date.now()) {
+    return this.relative ? formatAge(now - ms).padStart(8) : this.clock(ms);
+  }
+
+  /**
+   * YYYY-MM-DD in the configured timezone; compare these to spot a new day
+   */
+  day(ms) {
+    const f = this._fields(ms);
+    return `${f.year}-${f.month}-${f.day}`;
+  }
+
+  dayLabel(ms) {
+    return this._dayLabel.format(ms);
+  }
+}
+
+function formatAge(ms) {
+  const sec = Math.max(0, Math.round(ms / 1000));
+  if (sec < 5) return 'now';
+  if (sec < 60) return `${sec}s ago`;
+  if (sec < 3600) return `${Math.floor(sec / 60)}m ago`;
+  if (sec < 86400) return `${Math.floor(sec / 3600)}h ago`;
+  return `${Math.floor(sec / 86400)}d ago`;
+}
+
+module.exports = { TimeFormat, formatAge };
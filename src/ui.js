@@ -3,24 +3,21 @@
 const blessed = require('blessed');
 const path = require('path');
 const os = require('os');
-const { formatNum } = require('./usage');
-
-// ─── Color palette ───────────────────────────────────────────────────────────
-const COLORS = {
-  green:      '#00ff00',
-  darkGreen:  '#005500',
-  dimGreen:   '#00aa00',
-  brightGreen:'#00ff44',
-  cyan:       '#00ffff',
-  darkCyan:   '#006666',
-  black:      '#000000',
-  bgActive:   '#001a00',   // streaming: very dark green bg
-  bgIdle:     '#000000',   // idle/waiting: black
-  bgComplete: '#003300',   // flash green on completion
-  yellow:     '#ffff00',
-  red:        '#ff4444',
-  white:      '#cccccc',
-};
+const { EventEmitter } = require('events');
+const { formatNum, budgetUsage } = require('./usage');
+const { EVENT_TYPES, VERBOSITY, verbosityName } = require('./filters');
+const { resolveTheme } = require('./theme');
+const { TimeFormat } = require('./time');
+const { LAYOUT_MODES, parseLayout, layoutName, minimumSize, panelRects } = require('./layout');
+const { decodeProjectSlug } = require('./sessions');
+
+// Fixed heights: header rows and the label strip atop each session panel
+const SYS_ROW_HEIGHT = 3;
+const USAGE_HEIGHT = 6;
+const LABEL_HEIGHT = 3;
+
+// Live lines a panel keeps, on top of the history it was asked to load
+const LOG_LIMIT = 300;
 
 // Sparkline chars (low → high)
 const SPARK_CHARS = ['▁', '▂', '▃', '▄', '▅', '▆', '▇', '█'];
@@ -55,12 +52,174 @@ function formatUptime(ms) {
   return `${h}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}`;
 }
 
-function formatClock() {
-  const d = new Date();
-  const h = String(d.getHours()).padStart(2, '0');
-  const m = String(d.getMinutes()).padStart(2, '0');
-  const s = String(d.getSeconds()).padStart(2, '0');
-  return `${h}:${m}:${s}`;
+function formatDuration(ms) {
+  if (ms < 1000) return `${Math.round(ms)}ms`;
+  if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`;
+  const m = Math.floor(ms / 60000);
+  const s = Math.floor((ms % 60000) / 1000);
+  return `${m}m${String(s).padStart(2, '0')}s`;
+}
+
+// ─── Search ──────────────────────────────────────────────────────────────────
+// Blessed tags in a log line; escaped braces (\{ \}) are literal text
+const TAG_RE = /((?<!\\)\{\/?[\w#-]*\})/;
+
+function unescTag(str) {
+  return str.replace(/\\([{}])/g, '$1');
+}
+
+function stripTags(str) {
+  return unescTag(str.split(TAG_RE).filter((part, i) => i % 2 === 0).join(''));
+}
+
+// Search type names → what they match on a log entry
+const SEARCH_TYPES = {
+  user:     (e) => e.event.type === 'user',
+  text:     (e) => e.event.type === 'text',
+  thinking: (e) => e.event.type === 'thinking',
+  tool:     (e) => e.event.type === 'tool_use',
+  error:    (e) => e.event.type === 'tool_use' && !!e.result && e.result.isError,
+  done:     (e) => e.event.type === 'complete',
+  start:    (e) => e.event.type === 'session-start',
+};
+
+/**
+ * Parse a search prompt: "type:tool,error" tokens restrict the event types,
+ * "/pattern/flags" is a regex, anything else a case-insensitive substring
+ * Returns: { query, re, types } or { query, error }
+ */
+function parseSearch(input) {
+  const query = input.trim();
+  const types = [];
+  const words = [];
+  for (const word of query.split(/\s+/).filter(Boolean)) {
+    const m = word.match(/^(?:type|t):(.+)$/);
+    if (!m) { words.push(word); continue; }
+    for (const name of m[1].split(',').filter(Boolean)) {
+      if (!SEARCH_TYPES[name]) return { query, error: `unknown type "${name}"` };
+      types.push(name);
+    }
+  }
+
+  const text = words.join(' ');
+  let re = null;
+  const rx = text.match(/^\/(.+)\/([a-z]*)$/);
+  try {
+    if (rx) re = new RegExp(rx[1], rx[2].replace(/g/g, ''));
+    else if (text) re = new RegExp(text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+  } catch (e) {
+    return { query, error: 'bad regex' };
+  }
+  if (!re && types.length === 0) return null;
+  return { query, re, types };
+}
+
+// What a search looks at: the line as shown plus the untruncated content
+// behind it (prompt, tool input, tool result)
+function searchableText(entry) {
+  const parts = [stripTags(entry.text)];
+  const ev = entry.event;
+  if (ev.type !== 'thinking') parts.push(ev.raw || ev.content || '');
+  if (entry.result) parts.push(entry.result.raw || entry.result.content || '');
+  return parts.join('\n');
+}
+
+function searchMatches(search, entry) {
+  if (!entry.event) return false;
+  if (search.types.length > 0 && !search.types.some(t => SEARCH_TYPES[t](entry))) return false;
+  if (!search.re) return true;
+  // Every draw asks again; a line is only re-tested once its text or its
+  // tool result changes
+  const seen = search.seen.get(entry);
+  if (seen && seen.text === entry.text && seen.result === entry.result) return seen.matched;
+  const matched = search.re.test(searchableText(entry));
+  search.seen.set(entry, { text: entry.text, result: entry.result, matched });
+  return matched;
+}
+
+// Tint a matched line and mark the visible occurrences of the pattern
+function highlightLine(text, re, current, theme) {
+  let out = text;
+  if (re) {
+    const global = new RegExp(re.source, re.flags + 'g');
+    out = text.split(TAG_RE).map((part, i) => (i % 2 === 1 ? part : markPart(part, global, theme))).join('');
+  }
+  return tintLine(out, theme.bgTag(current ? 'matchLineCurrent' : 'matchLine'));
+}
+
+// Give a whole tagged line a background (or attribute), re-applied after every {/}
+function tintLine(text, open) {
+  if (!open) return text;
+  return `${open}${text.replace(/\{\/\}/g, `{/}${open}`)}{/}`;
+}
+
+function markPart(part, global, theme) {
+  return unescTag(part).replace(global, '\u0000$&\u0001')
+    .split(/(\u0000[^\u0001]*\u0001)/)
+    .map((piece, i) => (i % 2 === 1 ? theme.mark(escTag(piece.slice(1, -1))) : escTag(piece)))
+    .join('');
+}
+
+// ─── Detail view ───────────────────────────────────────────────────────────────
+// An event's kept text, saying so when the parser cut it short (RAW_LIMIT)
+function detailText(ev) {
+  const text = ev.raw || ev.content || '';
+  if (!ev.raw || !(ev.rawLength > ev.raw.length)) return text;
+  return `${text}\n… truncated (${ev.raw.length} of ${ev.rawLength} chars)`;
+}
+
+/**
+ * Plain-text detail of a log entry: identifiers, exact usage, then the full
+ * content (prompt, text, thinking, or tool input and its paired result)
+ */
+function formatDetail(entry) {
+  const ev = entry.event;
+  const out = [];
+  const field = (name, value) => {
+    if (value !== null && value !== undefined && value !== '') out.push(`${name.padEnd(11)}${value}`);
+  };
+  const section = (title, body) => {
+    out.push('', `── ${title} ${'─'.repeat(Math.max(0, 60 - title.length))}`, body);
+  };
+
+  field('type', ev.type);
+  field('time', ev.timestamp);
+  field('message', ev.messageId);
+  field('model', ev.model);
+  if (ev.type === 'tool_use') field('tool', `${ev.toolName}  ${ev.toolUseId || ''}`);
+  if (ev.isSidechain) {
+    const agent = ev.subagentStats ? ev.subagentStats.agentType : 'subagent';
+    field('subagent', `${agent}${ev.agentId ? `  ${ev.agentId}` : ''}  (Task ${ev.parentToolUseId || '?'})`);
+  }
+  if (entry.stats) {
+    const st = entry.stats;
+    field('subagent', `${st.agentType}: in ${st.inputTokens} · out ${st.outputTokens} · ${st.toolCount} tools`);
+  }
+  if (ev.usage) section('usage', JSON.stringify(ev.usage, null, 2));
+
+  switch (ev.type) {
+    case 'user':
+      section('prompt', detailText(ev));
+      break;
+    case 'text':
+    case 'thinking':
+      section(ev.type, ev.content || '');
+      break;
+    case 'tool_use': {
+      section('input', JSON.stringify(ev.input || {}, null, 2));
+      const r = entry.result;
+      if (r) {
+        const took = r.durationMs !== undefined ? ` ${formatDuration(r.durationMs)}` : '';
+        section(`result ${r.isError ? '✗ error' : '✓'}${took}`, detailText(r) || '(empty)');
+      } else {
+        section('result', '(pending)');
+      }
+      break;
+    }
+    default:
+      if (ev.content) section('content', ev.content);
+  }
+  return out.join('\n');
 }
 
 // ─── CPU sampling ─────────────────────────────────────────────────────────────
@@ -155,12 +314,17 @@ function formatBytes(n) {
 }
 
 // ─── HackviewUI ───────────────────────────────────────────────────────────────
-class HackviewUI {
-  constructor(numSessions, budget = 40, blockHours = 5) {
+class HackviewUI extends EventEmitter {
+  constructor(numSessions, budget = 40, blockHours = 5, theme = resolveTheme(), layout = parseLayout(),
+    timeFormat = new TimeFormat()) {
+    super();
     this.numSessions = numSessions;
     this.budget = budget;
     this.blockHours = blockHours;
-    this._blockData = null; // from ccusage blocks --active
+    this.theme = theme; // colour roles (see src/theme.js)
+    this.layout = layout; // { mode, compact }: panel arrangement (see src/layout.js)
+    this.timeFormat = timeFormat; // line stamps and the header clock (see src/time.js)
+    this._blockData = null; // active billing block from UsageMonitor
     this.screen = null;
 
     // Top panel: header box (fixed) + content box inside it
@@ -170,10 +334,34 @@ class HackviewUI {
     this.sessionHeaderBoxes = [];  // fixed label strips
     this.sessionScrollBoxes = [];  // scrollable log areas
 
-    this.sessionLogs    = [];  // string[][]
+    this.sessionLogs    = [];  // { text, event }[][]: rendered line + the event it came from
+    this.toolLines      = [];  // Map<toolUseId, log entry>[]: tool lines updated in place with results
+    this.subagentTails  = [];  // Map<Task toolUseId, log entry>[]: last line of each subagent's block
     this.sessionStatus  = [];  // 'waiting'|'streaming'|'thinking'|'idle'|'complete'
     this.sessionFiles   = [];
     this.completionTimers = [];
+    this._alertBanner = null; // { box, timer }: flashing budget alert
+
+    // Focus + follow: the focused panel receives scroll keys; a panel that is
+    // not following keeps its scroll position and counts lines added below
+    this.focusedSession = 0;
+    this.sessionFollow  = [];  // boolean[]
+    this.sessionUnseen  = [];  // number[]
+    this.sessionPinned  = [];  // boolean[]: held on a picked file
+    this.sessionNotes   = [];  // string[]: extra label text, e.g. replay position
+    this.sessionMessages = []; // string[]: short-lived label text, e.g. export result
+    this.messageTimers  = [];
+    this.sessionSearch  = [];  // ({ query, re, types, current, seen } | null)[]: see parseSearch, searchMatches
+    this.sessionHidden  = [];  // Set<event type>[]: kept in the log, left out of the view
+    this.sessionCursor  = [];  // (log entry | null)[]: selected line for the detail view
+    this.sessionUsage   = [];  // ({ model, inputTokens, outputTokens, cacheReadTokens, cacheWriteTokens, costUSD } | null)[]
+    this.sessionLimits  = [];  // number[]: lines kept before the oldest are dropped
+    this.sessionDropped = [];  // number[]: log lines that failed to parse
+    this.sessionContext = [];  // ({ cwd, gitBranch, version } | null)[]: where the session runs
+
+    // Open overlay (e.g. session picker); panel keys are ignored while set
+    this._modal = null;
+    this._picker = null; // { list, sessions } while the session picker is open
 
     this._usageData   = null;
     this._startTime   = Date.now();
@@ -196,40 +384,44 @@ class HackviewUI {
       fullUnicode: true,
       forceUnicode: true,
     });
+    // 16-colour and monochrome terminals get the theme's reduced palette
+    this.theme.setColors(this.screen.tput.colors);
 
-    this.screen.key(['C-c', 'q'], () => {
+    // Text prompts grab the keyboard; Ctrl+C must still quit
+    this.screen.ignoreLocked = ['C-c'];
+    this.screen.key(['C-c'], () => {
+      this.destroy();
+      process.exit(0);
+    });
+    this._key(['q'], () => {
       this.destroy();
       process.exit(0);
     });
 
+    this._bindKeys();
     this._buildLayout();
+    // Terminal or tmux pane resized: recompute every widget's geometry
+    this.screen.on('resize', () => {
+      this._applyLayout();
+      this._scheduleRender();
+    });
     this._startTimers();
     this._scheduleRender();
   }
 
   // ── layout ─────────────────────────────────────────────────────────────────
   _buildLayout() {
-    const sh = this.screen.height;
-
-    // Header: title(1) + sysrow(3) + usage(6) + border(2) = 12
-    const sysRowH = 3;
-    const usageH = 6;
-    const headerHeight = 1 + sysRowH + usageH + 2; // 12
-    const remainingH   = sh - headerHeight;
-    const sessionH     = Math.floor(remainingH / this.numSessions);
+    const t = this.theme;
 
+    // Geometry is set by _applyLayout(); widgets are only created here
     // ── HEADER: outer container ──
     this.headerBox = blessed.box({
       top: 0, left: 0,
       width: '100%',
-      height: headerHeight,
+      height: 12,
       tags: true,
       border: { type: 'line' },
-      style: {
-        fg: COLORS.green,
-        bg: COLORS.black,
-        border: { fg: COLORS.darkGreen },
-      },
+      style: t.style('fg', 'border'),
     });
     this.screen.append(this.headerBox);
 
@@ -240,125 +432,78 @@ class HackviewUI {
       width: '100%',
       height: 1,
       tags: true,
-      style: { fg: COLORS.green, bg: COLORS.black },
+      style: t.style('fg'),
     });
 
-    // ── System stats row: 4 columns (absolute widths to avoid rounding gaps) ──
-    const innerW = this.screen.width - 2; // headerBox border eats 2 chars
-    const col1W = Math.floor(innerW / 4);
-    const col2W = Math.floor(innerW / 4);
-    const col3W = Math.floor(innerW / 4);
-    const col4W = innerW - col1W - col2W - col3W; // last col absorbs remainder
-
+    // ── System stats row: 4 columns, dropped by the compact header ──
     const colStyle = {
+      parent: this.headerBox,
+      top: 1,
+      height: SYS_ROW_HEIGHT,
       tags: true,
       border: { type: 'line' },
-      style: { fg: COLORS.green, bg: COLORS.black, border: { fg: COLORS.darkGreen } },
+      style: t.style('fg', 'border'),
     };
 
-    this.cpuBox = blessed.box({
-      parent: this.headerBox,
-      top: 1, left: 0,
-      width: col1W,
-      height: sysRowH,
-      label: ' CPU ',
-      ...colStyle,
-    });
-
-    this.memBox = blessed.box({
-      parent: this.headerBox,
-      top: 1, left: col1W,
-      width: col2W,
-      height: sysRowH,
-      label: ' MEM ',
-      ...colStyle,
-      style: { fg: COLORS.cyan, bg: COLORS.black, border: { fg: COLORS.darkGreen } },
-    });
-
-    this.netBox = blessed.box({
-      parent: this.headerBox,
-      top: 1, left: col1W + col2W,
-      width: col3W,
-      height: sysRowH,
-      label: ' NET ',
-      ...colStyle,
-    });
-
-    this.uptimeBox = blessed.box({
-      parent: this.headerBox,
-      top: 1, left: col1W + col2W + col3W,
-      width: col4W,
-      height: sysRowH,
-      label: ' SYS ',
-      ...colStyle,
-      style: { fg: COLORS.dimGreen, bg: COLORS.black, border: { fg: COLORS.darkGreen } },
-    });
+    this.cpuBox = blessed.box({ ...colStyle, label: ' CPU ' });
+    this.memBox = blessed.box({ ...colStyle, label: ' MEM ', style: t.style('info', 'border') });
+    this.netBox = blessed.box({ ...colStyle, label: ' NET ' });
+    this.uptimeBox = blessed.box({ ...colStyle, label: ' SYS ', style: t.style('value', 'border') });
 
     // ── Usage panel: full width, the star of the show ──
     this.usageBox = blessed.box({
       parent: this.headerBox,
-      top: 1 + sysRowH,
       left: 0,
-      width: innerW,
-      height: usageH,
+      height: USAGE_HEIGHT,
       tags: true,
       border: { type: 'line' },
       label: ' ◈ TOKEN USAGE ◈ ',
-      style: {
-        fg: COLORS.green,
-        bg: COLORS.black,
-        border: { fg: COLORS.dimGreen },
-      },
+      style: t.style('fg', 'borderActive'),
     });
 
     // ── SESSION PANELS ──
     for (let i = 0; i < this.numSessions; i++) {
       this.sessionLogs.push([]);
+      this.toolLines.push(new Map());
+      this.subagentTails.push(new Map());
       this.sessionStatus.push('waiting');
       this.sessionFiles.push(null);
       this.completionTimers.push(null);
-
-      const top    = headerHeight + i * sessionH;
-      const height = (i === this.numSessions - 1) ? sh - top : sessionH;
+      this.sessionFollow.push(true);
+      this.sessionUnseen.push(0);
+      this.sessionPinned.push(false);
+      this.sessionNotes.push('');
+      this.sessionMessages.push('');
+      this.messageTimers.push(null);
+      this.sessionSearch.push(null);
+      this.sessionHidden.push(new Set());
+      this.sessionCursor.push(null);
+      this.sessionUsage.push(null);
+      this.sessionLimits.push(LOG_LIMIT);
+      this.sessionDropped.push(0);
+      this.sessionContext.push(null);
 
       // Fixed header strip (2 lines + border overhead)
-      const labelHeight = 3;
       const labelBox = blessed.box({
-        top, left: 0,
-        width: '100%',
-        height: labelHeight,
+        height: LABEL_HEIGHT,
         tags: true,
         border: { type: 'line' },
-        style: {
-          fg: COLORS.green,
-          bg: COLORS.black,
-          border: { fg: COLORS.darkGreen },
-        },
+        style: t.style('fg', 'border'),
       });
       this.screen.append(labelBox);
       this.sessionHeaderBoxes.push(labelBox);
 
       // Scrollable log area (below the label)
-      const scrollTop = top + labelHeight - 1; // overlap border by 1
-      const scrollH   = height - labelHeight + 1;
-
       const scrollBox = blessed.box({
-        top: scrollTop, left: 0,
-        width: '100%',
-        height: Math.max(3, scrollH),
         tags: true,
         border: { type: 'line' },
         scrollable: true,
         alwaysScroll: true,
         scrollbar: {
           ch: '│',
-          style: { fg: COLORS.darkGreen },
-        },
-        style: {
-          fg: COLORS.green,
-          bg: COLORS.black,
-          border: { fg: COLORS.darkGreen },
+          style: { fg: t.color('border') },
         },
+        style: t.style('fg', 'border'),
       });
       this.screen.append(scrollBox);
       this.sessionScrollBoxes.push(scrollBox);
@@ -366,21 +511,184 @@ class HackviewUI {
       this._dirtySessions.add(i);
     }
 
+    // Covers everything while the terminal is smaller than the layout needs
+    this.tooSmallBox = blessed.box({
+      top: 0, left: 0,
+      width: '100%', height: '100%',
+      tags: true,
+      align: 'center', valign: 'middle',
+      hidden: true,
+      style: t.style('fg'),
+    });
+    this.screen.append(this.tooSmallBox);
+
+    this._applyLayout();
     this._renderHeader();
     for (let i = 0; i < this.numSessions; i++) {
+      this._updateSessionBg(i);
       this._renderSessionLabel(i);
       this._renderSessionLog(i);
     }
   }
 
+  /**
+   * Size and place the header and session panels for the current layout and
+   * screen size; runs again on every resize. Only geometry changes, so logs,
+   * scroll positions and statuses carry over
+   */
+  _applyLayout() {
+    const { mode, compact } = this.layout;
+    const sw = this.screen.width;
+    const sh = this.screen.height;
+
+    // Header: title(1) + sysrow(3, unless compact) + usage(6) + border(2) = 12 (9)
+    const sysRowH = compact ? 0 : SYS_ROW_HEIGHT;
+    const headerHeight = 1 + sysRowH + USAGE_HEIGHT + 2;
+    this.headerBox.height = headerHeight;
+
+    // Absolute column widths to avoid rounding gaps; the last absorbs the remainder
+    const innerW = Math.max(4, sw - 2); // headerBox border eats 2 chars
+    const colW = Math.floor(innerW / 4);
+    [this.cpuBox, this.memBox, this.netBox, this.uptimeBox].forEach((box, i) => {
+      box.left = i * colW;
+      box.width = i === 3 ? innerW - 3 * colW : colW;
+      if (compact) box.hide();
+      else box.show();
+    });
+    this.usageBox.top = 1 + sysRowH;
+    this.usageBox.width = innerW;
+
+    const area = { top: headerHeight, left: 0, width: sw, height: Math.max(0, sh - headerHeight) };
+    panelRects(mode, this.numSessions, area).forEach((rect, i) => {
+      const labelBox = this.sessionHeaderBoxes[i];
+      labelBox.top = rect.top;
+      labelBox.left = rect.left;
+      labelBox.width = Math.max(1, rect.width);
+
+      const scrollBox = this.sessionScrollBoxes[i];
+      scrollBox.top = rect.top + LABEL_HEIGHT - 1; // overlap border by 1
+      scrollBox.left = rect.left;
+      scrollBox.width = Math.max(1, rect.width);
+      scrollBox.height = Math.max(3, rect.height - LABEL_HEIGHT + 1);
+      this._dirtySessions.add(i);
+    });
+    this._dirtyHeader = true;
+
+    const min = minimumSize(mode, this.numSessions, headerHeight);
+    if (sw >= min.width && sh >= min.height) {
+      this.tooSmallBox.hide();
+      return;
+    }
+    const t = this.theme;
+    this.tooSmallBox.setContent([
+      `{bold}${t.fg('warning', 'terminal too small')}{/bold}`,
+      t.fg('muted', `${sw}x${sh}, ${layoutName(this.layout)} needs ${min.width}x${min.height}`),
+      t.fg('muted', 'resize, or press L/H to change the layout'),
+    ].join('\n'));
+    this.tooSmallBox.show();
+    this.tooSmallBox.setFront();
+  }
+
+  /**
+   * Switch panel arrangement and/or header style; { mode, compact } as from parseLayout
+   */
+  setLayout(layout) {
+    this.layout = { ...this.layout, ...layout };
+    if (!this.screen) return;
+    this._applyLayout();
+    this._scheduleRender();
+  }
+
+  cycleLayout() {
+    const mode = LAYOUT_MODES[(LAYOUT_MODES.indexOf(this.layout.mode) + 1) % LAYOUT_MODES.length];
+    this.setLayout({ mode });
+    this.showMessage(this.focusedSession, `▦ layout: ${layoutName(this.layout)}`);
+  }
+
+  toggleCompactHeader() {
+    this.setLayout({ compact: !this.layout.compact });
+    this.showMessage(this.focusedSession, `▦ layout: ${layoutName(this.layout)}`);
+  }
+
+  // ── Keys: focus, scroll, follow ───────────────────────────────────────────────
+  _bindKeys() {
+    this._key(['tab'], () => this.focusSession((this.focusedSession + 1) % this.numSessions));
+    this._key(['S-tab'], () => this.focusSession((this.focusedSession + this.numSessions - 1) % this.numSessions));
+    this._key(['1', '2', '3', '4', '5', '6', '7', '8', '9'], (ch) => this.focusSession(Number(ch) - 1));
+
+    // With a line selected, j/k move the selection instead of the view
+    this._key(['j', 'down'], () => {
+      if (this._cursorIndex(this.focusedSession) >= 0) this.moveCursor(this.focusedSession, 1);
+      else this.scrollSession(this.focusedSession, 1);
+    });
+    this._key(['k', 'up'], () => {
+      if (this._cursorIndex(this.focusedSession) >= 0) this.moveCursor(this.focusedSession, -1);
+      else this.scrollSession(this.focusedSession, -1);
+    });
+    this._key(['pagedown', 'C-d'], () => this.scrollSession(this.focusedSession, this._pageSize(this.focusedSession)));
+    this._key(['pageup', 'C-u'], () => this.scrollSession(this.focusedSession, -this._pageSize(this.focusedSession)));
+    this._key(['g', 'home'], () => this.scrollSession(this.focusedSession, -Infinity));
+    this._key(['S-g', 'end'], () => this.setFollow(this.focusedSession, true));
+    this._key(['f'], () => this.setFollow(this.focusedSession, !this.sessionFollow[this.focusedSession]));
+
+    this._key(['p'], () => this.emit('picker', this.focusedSession));
+    this._key(['m'], () => this.emit('load-more', this.focusedSession));
+    this._key(['r'], () => {
+      if (this.sessionPinned[this.focusedSession]) this.emit('release-session', this.focusedSession);
+    });
+    this._key(['/'], () => this.openSearch(this.focusedSession));
+    this._key(['n'], () => this.nextMatch(this.focusedSession, 1));
+    this._key(['S-n'], () => this.nextMatch(this.focusedSession, -1));
+    this._key(['escape'], () => {
+      if (this.sessionCursor[this.focusedSession]) this.clearCursor(this.focusedSession);
+      else if (this.sessionSearch[this.focusedSession]) this.search(this.focusedSession, '');
+    });
+
+    // Enter selects a line, Enter again opens its detail view
+    this._key(['enter'], () => {
+      if (this._cursorIndex(this.focusedSession) >= 0) this.showDetail(this.focusedSession);
+      else this.moveCursor(this.focusedSession, 0);
+    });
+
+    this._key(['v'], () => this.cycleVerbosity(this.focusedSession));
+    this._key(['t'], () => this.showFilterMenu(this.focusedSession));
+
+    this._key(['S-l'], () => this.cycleLayout());
+    this._key(['S-h'], () => this.toggleCompactHeader());
+
+    this._key(['e'], () => this.emit('export', this.focusedSession, 'md'));
+    this._key(['S-e'], () => this.emit('export', this.focusedSession, 'html'));
+  }
+
+  /**
+   * Bind extra keys (e.g. replay controls); ignored while an overlay is open
+   */
+  onKey(keys, handler) {
+    this._key(keys, handler);
+  }
+
+  // Screen-level key binding that stays quiet while an overlay is open
+  _key(keys, handler) {
+    this.screen.key(keys, (ch, key) => {
+      if (this._modal) return;
+      handler(ch, key);
+    });
+  }
+
+  _pageSize(idx) {
+    const box = this.sessionScrollBoxes[idx];
+    return box ? Math.max(1, box.height - 3) : 10;
+  }
+
   // ── Header rendering ────────────────────────────────────────────────────────
   _renderHeader() {
+    const t = this.theme;
     try {
       const sw = this.screen.width - 4;
       const cpu = getCpuPercent();
       const mem = getMemPercent();
       const uptime = formatUptime(Date.now() - this._startTime);
-      const clock = formatClock();
+      const clock = this.timeFormat.clock(Date.now());
       const netSpeed = formatBytes(_lastNetBytes);
 
       // Title row: clock + title + uptime
@@ -392,9 +700,9 @@ class HackviewUI {
         const gap = Math.max(1, w - visL - visR);
         return left + ' '.repeat(gap) + right;
       };
-      const clockStr = `{green-fg}{bold}${clock}{/bold}{/green-fg}`;
-      const titleStr = `{bold}{green-fg}${title}{/green-fg}{/bold}`;
-      const upStr = `{#006666-fg}UP{/} {#00aa00-fg}${uptime}{/}`;
+      const clockStr = `{bold}${t.fg('title', clock)}{/bold}`;
+      const titleStr = `{bold}${t.fg('title', title)}{/bold}`;
+      const upStr = `${t.fg('muted', 'UP')} ${t.fg('value', uptime)}`;
       const clockVis = stripTags(clockStr).length;
       const titleVis = stripTags(titleStr).length;
       const upVis = stripTags(upStr).length;
@@ -408,18 +716,18 @@ class HackviewUI {
 
       // CPU
       const cpuBar = makeBar(cpu / 100, colW - 5);
-      this.cpuBox.setContent(`{green-fg}${cpuBar}{/} {bold}${cpu}%{/bold}`);
+      this.cpuBox.setContent(`${t.fg('success', cpuBar)} {bold}${cpu}%{/bold}`);
 
       // MEM
       const memBar = makeBar(mem.pct / 100, colW - 5);
-      this.memBox.setContent(`{cyan-fg}${memBar}{/} {bold}${mem.pct}%{/bold}`);
+      this.memBox.setContent(`${t.fg('info', memBar)} {bold}${mem.pct}%{/bold}`);
 
       // NET
       const spark = renderSparkline(_netHistory.slice(-Math.min(colW, NET_HISTORY_LEN)));
-      this.netBox.setContent(`{green-fg}${spark}{/}\n${netSpeed}`);
+      this.netBox.setContent(`${t.fg('success', spark)}\n${netSpeed}`);
 
       // Uptime
-      this.uptimeBox.setContent(`{#00aa00-fg}${uptime}{/}`);
+      this.uptimeBox.setContent(t.fg('value', uptime));
 
       // ── Usage panel (the big one) ──
       this._renderUsagePanel(sw);
@@ -430,13 +738,14 @@ class HackviewUI {
 
   // ── Usage panel rendering ──────────────────────────────────────────────────
   _renderUsagePanel(sw) {
+    const t = this.theme;
     const lines = [];
     const usableW = Math.max(20, sw - 4);
 
     if (!this._usageData || this._usageData._error) {
       const msg = this._usageData
-        ? `{red-fg}✗ ${escTag(this._usageData.message).slice(0, usableW - 5)}{/}`
-        : '{#005500-fg}⏳ awaiting ccusage...{/}';
+        ? t.fg('error', `✗ ${escTag(this._usageData.message).slice(0, usableW - 5)}`)
+        : t.fg('faint', '⏳ scanning session logs...');
       lines.push('');
       lines.push(msg);
       this.usageBox.setContent(lines.join('\n'));
@@ -444,21 +753,21 @@ class HackviewUI {
     }
 
     // Use block data if available, fallback to daily usage
+    const d = this._usageData;
     const block = this._blockData;
-    const cost = block ? (block.costUSD || 0) : (d.totalCost || 0);
-    const budget = this.budget;
-    const pct = Math.min(100, (cost / budget) * 100);
+    const { cost, budget, pct: spentPct } = budgetUsage(d, block, this.budget);
+    const pct = Math.min(100, spentPct);
     const costStr = `$${cost.toFixed(2)}`;
     const budgetStr = `$${budget}`;
 
     // Status indicator (plan-finder style)
-    let statusIcon, statusLabel, statusColor;
-    if (pct >= 100)     { statusIcon = '🔴'; statusLabel = 'OVER';   statusColor = 'red-fg'; }
-    else if (pct >= 80) { statusIcon = '🟠'; statusLabel = 'TIGHT';  statusColor = 'yellow-fg'; }
-    else if (pct >= 60) { statusIcon = '🟡'; statusLabel = 'OK';     statusColor = 'yellow-fg'; }
-    else                { statusIcon = '🟢'; statusLabel = 'PLENTY'; statusColor = 'green-fg'; }
+    let statusIcon, statusLabel, statusRole;
+    if (pct >= 100)     { statusIcon = '🔴'; statusLabel = 'OVER';   statusRole = 'error'; }
+    else if (pct >= 80) { statusIcon = '🟠'; statusLabel = 'TIGHT';  statusRole = 'warning'; }
+    else if (pct >= 60) { statusIcon = '🟡'; statusLabel = 'OK';     statusRole = 'warning'; }
+    else                { statusIcon = '🟢'; statusLabel = 'PLENTY'; statusRole = 'success'; }
 
-    // Block reset countdown from ccusage active block
+    // Block reset countdown from the active block
     let resetStr = '';
     if (block && block.endTime) {
       const blockEndMs = new Date(block.endTime).getTime();
@@ -467,26 +776,28 @@ class HackviewUI {
         const rH = Math.floor(remainMs / 3600000);
         const rM = Math.floor((remainMs % 3600000) / 60000);
         const rS = Math.floor((remainMs % 60000) / 1000);
-        resetStr = `{#006666-fg}RESET{/} {#00aa00-fg}${rH}:${String(rM).padStart(2,'0')}:${String(rS).padStart(2,'0')}{/}`;
+        resetStr = `${t.fg('muted', 'RESET')} ${t.fg('value', `${rH}:${String(rM).padStart(2,'0')}:${String(rS).padStart(2,'0')}`)}`;
       } else {
-        resetStr = '{#00ffff-fg}BLOCK RESET{/}';
+        resetStr = t.fg('accent', 'BLOCK RESET');
       }
     } else if (!block) {
-      resetStr = '{#005500-fg}no active block{/}';
+      resetStr = t.fg('faint', 'no active block');
     }
 
     // Line 1: big cost summary + reset timer
-    const summaryLeft = `{bold}{green-fg}  ${costStr}{/green-fg} / {#006666-fg}${budgetStr}{/}  {${statusColor}}{bold}${statusIcon} ${statusLabel}{/bold}{/}  {#006666-fg}${pct.toFixed(1)}%{/}{/bold}`;
+    // {/} ends bold too, so each bold part opens its own
+    const summaryLeft = `{bold}${t.fg('title', `  ${costStr}`)}{/bold} / ${t.fg('muted', budgetStr)}  `
+      + `{bold}${t.fg(statusRole, `${statusIcon} ${statusLabel}`)}{/bold}  ${t.fg('muted', `${pct.toFixed(1)}%`)}`;
     lines.push(resetStr ? `${summaryLeft}  ${resetStr}` : summaryLeft);
 
     // Line 2: full-width budget bar (the hero)
     const barW = Math.max(20, usableW - 2);
     const filledN = Math.min(barW, Math.round((pct / 100) * barW));
     const emptyN = barW - filledN;
-    let barColor = 'green-fg';
-    if (pct >= 80) barColor = 'red-fg';
-    else if (pct >= 60) barColor = 'yellow-fg';
-    const bar = `{${barColor}}${'█'.repeat(filledN)}{/}{#003300-fg}${'░'.repeat(emptyN)}{/}`;
+    let barRole = 'success';
+    if (pct >= 80) barRole = 'error';
+    else if (pct >= 60) barRole = 'warning';
+    const bar = t.fg(barRole, '█'.repeat(filledN)) + t.fg('barEmpty', '░'.repeat(emptyN));
     lines.push(bar);
 
     // Line 3: burn rate + projection (from block data)
@@ -494,7 +805,7 @@ class HackviewUI {
       const cph = block.burnRate.costPerHour || 0;
       const projCost = block.projection ? `→ $${block.projection.totalCost.toFixed(2)}` : '';
       const projRemain = block.projection ? `${block.projection.remainingMinutes}m left` : '';
-      lines.push(`{#00aa00-fg}BURN{/} {green-fg}$${cph.toFixed(2)}/hr{/}  {#006666-fg}${projCost}  ${projRemain}{/}`);
+      lines.push(`${t.fg('value', 'BURN')} ${t.fg('success', `$${cph.toFixed(2)}/hr`)}  ${t.fg('muted', `${projCost}  ${projRemain}`)}`);
     }
 
     // Line 4: token details + models
@@ -505,12 +816,12 @@ class HackviewUI {
     const outTok = formatNum(tc.outputTokens || d.totalOutput || 0);
     const cacheR = formatNum(tc.cacheReadInputTokens || d.totalCacheRead || 0);
     const cacheW = formatNum(tc.cacheCreationInputTokens || d.totalCacheWrite || 0);
-    tokenParts.push(`{#006666-fg}IN ${inTok}  OUT ${outTok}  CACHE R:${cacheR} W:${cacheW}{/}`);
+    tokenParts.push(t.fg('muted', `IN ${inTok}  OUT ${outTok}  CACHE R:${cacheR} W:${cacheW}`));
 
     // Models from block
     const blockModels = block ? (block.models || []) : [];
     if (blockModels.length > 0) {
-      const mStr = blockModels.map(m => `{#00aa00-fg}${shortModelName(m)}{/}`).join(' ');
+      const mStr = blockModels.map(m => t.fg('value', shortModelName(m))).join(' ');
       tokenParts.push(mStr);
     }
     lines.push(tokenParts.join('  '));
@@ -520,31 +831,75 @@ class HackviewUI {
 
   // ── Session label (fixed header) ─────────────────────────────────────────────
   _getStatusTag(idx) {
+    const t = this.theme;
     switch (this.sessionStatus[idx]) {
-      case 'waiting':   return '{#006666-fg}[waiting]{/}';
-      case 'streaming': return '{green-fg}{bold}[streaming▮]{/bold}{/green-fg}';
-      case 'thinking':  return '{#005500-fg}[thinking...]{/}';
-      case 'idle':      return '{#00aa00-fg}[idle]{/}';
-      case 'complete':  return '{#00ffff-fg}[done ✓]{/}';
-      default:          return '{#006666-fg}[...]{/}';
+      case 'waiting':   return t.fg('muted', '[waiting]');
+      case 'streaming': return `{bold}${t.fg('success', '[streaming▮]')}{/bold}`;
+      case 'thinking':  return t.fg('faint', '[thinking...]');
+      case 'idle':      return t.fg('value', '[idle]');
+      case 'complete':  return t.fg('accent', '[done ✓]');
+      default:          return t.fg('muted', '[...]');
     }
   }
 
   _renderSessionLabel(idx) {
+    const t = this.theme;
     try {
       const box  = this.sessionHeaderBoxes[idx];
       const file = this.sessionFiles[idx];
       const status = this._getStatusTag(idx);
 
-      let fileInfo = '{#006666-fg}no file{/}';
+      // Project name and branch from the records; the slug is only a fallback
+      let fileInfo = t.fg('muted', 'no file');
       if (file) {
-        const dir   = path.basename(path.dirname(file));
-        const fname = path.basename(file, '.jsonl');
-        const shortDir = dir.length > 30 ? '…' + dir.slice(-29) : dir;
-        fileInfo = `{#006666-fg}${escTag(shortDir)}/{/}{#00aa00-fg}${escTag(fname.slice(0, 24))}{/}`;
+        const ctx = this.sessionContext[idx];
+        const dir = (ctx && ctx.cwd) || decodeProjectSlug(path.basename(path.dirname(file)));
+        const home = os.homedir();
+        let shortDir = dir.startsWith(home + path.sep) || dir === home ? '~' + dir.slice(home.length) : dir;
+        if (shortDir.length > 40) shortDir = '…' + shortDir.slice(-39);
+        const name = path.basename(dir) || dir;
+        const branch = ctx && ctx.gitBranch ? ` ${t.fg('accent', `⎇ ${escTag(ctx.gitBranch)}`)}` : '';
+        const where = shortDir !== name ? `${shortDir} · ` : '';
+        fileInfo = `{bold}${t.fg('value', escTag(name))}{/bold}${branch} `
+          + t.fg('muted', escTag(`${where}${path.basename(file, '.jsonl').slice(0, 8)}`));
+      }
+
+      // Running session totals: model, tokens by kind, estimated cost
+      let usageInfo = '';
+      const u = this.sessionUsage[idx];
+      if (u) {
+        usageInfo = `  ${t.fg('value', escTag(shortModelName(u.model)))} `
+          + `${t.fg('muted', 'in:')}${formatNum(u.inputTokens)} ${t.fg('muted', 'out:')}${formatNum(u.outputTokens)} `
+          + `${t.fg('muted', 'cache r:')}${formatNum(u.cacheReadTokens)} ${t.fg('muted', 'w:')}${formatNum(u.cacheWriteTokens)} `
+          + t.fg('cost', `$${u.costUSD.toFixed(2)}`);
       }
 
-      const label = `{green-fg}{bold} ◉ SESSION ${idx + 1}{/bold}{/green-fg}  ${status}  ${fileInfo}`;
+      const marker = idx === this.focusedSession ? `{bold}${t.fg('accent', '▸')}{/bold}` : ' ';
+      const pin = this.sessionPinned[idx] ? `  ${t.fg('accent', '⚑ pinned')}` : '';
+      const note = this.sessionNotes[idx] ? `  ${this.sessionNotes[idx]}` : '';
+      const hidden = this.sessionHidden[idx];
+      let filter = '';
+      if (hidden.size > 0) {
+        const name = verbosityName(hidden);
+        filter = `  ${t.fg('value', `◧ ${name === 'custom' ? [...hidden].map(type => `-${type}`).join(' ') : name}`)}`;
+      }
+      const message = this.sessionMessages[idx] ? `  ${t.fg('accent', escTag(this.sessionMessages[idx]))}` : '';
+      const n = this.sessionDropped[idx];
+      const dropped = n > 0 ? `  ${t.fg('warning', `⚠ ${n} unreadable line${n === 1 ? '' : 's'}`)}` : '';
+      let label = `${marker}{bold}${t.fg('title', `◉ SESSION ${idx + 1}`)}{/bold}  ${status}  ${fileInfo}${usageInfo}${pin}${filter}${note}${dropped}${message}`;
+      if (!this.sessionFollow[idx]) {
+        const unseen = this.sessionUnseen[idx];
+        label += unseen > 0
+          ? `  ${t.fg('warning', `⏸ ${unseen} new line${unseen === 1 ? '' : 's'} below`)}`
+          : `  ${t.fg('warning', '⏸ follow paused')}`;
+      }
+      const search = this.sessionSearch[idx];
+      if (search) {
+        const hits = this._visibleLogs(idx).filter(e => searchMatches(search, e));
+        const pos = hits.indexOf(search.current) + 1;
+        const count = hits.length === 0 ? 'no matches' : `${pos > 0 ? `${pos}/` : ''}${hits.length}`;
+        label += `  ${t.fg('search', `⌕ ${escTag(search.query)}`)} ${t.fg('muted', count)}`;
+      }
       box.setContent(label);
     } catch (e) {
       // ignore
@@ -555,24 +910,89 @@ class HackviewUI {
   _renderSessionLog(idx) {
     try {
       const box  = this.sessionScrollBoxes[idx];
-      const logs = this.sessionLogs[idx];
-      box.setContent(logs.join('\n'));
-      // Auto-scroll to bottom
-      box.setScrollPerc(100);
+      const logs = this._visibleLogs(idx);
+      const search = this.sessionSearch[idx];
+      const cursor = this.sessionCursor[idx];
+      const t = this.theme;
+      const now = Date.now();
+      box.setContent(logs.map((l) => {
+        // Stamped here so relative times stay current; date separators have none
+        const text = l.at ? `${t.fg('timestamp', this.timeFormat.stamp(l.at, now))} ${l.text}` : l.text;
+        if (l === cursor) return tintLine(text, t.bgTag('cursor'));
+        if (search && searchMatches(search, l)) return highlightLine(text, search.re, l === search.current, t);
+        return text;
+      }).join('\n'));
+      // Auto-scroll to bottom unless the user is reading back
+      if (this.sessionFollow[idx]) box.setScrollPerc(100);
     } catch (e) {
       // ignore
     }
   }
 
-  _addSessionLine(idx, line) {
+  // Log entries the panel's filters let through, in order
+  _visibleLogs(idx) {
+    const hidden = this.sessionHidden[idx];
     const logs = this.sessionLogs[idx];
-    logs.push(line);
+    return hidden.size === 0 ? logs : logs.filter(e => this._isVisible(idx, e));
+  }
 
-    // Keep last 300 lines
-    if (logs.length > 300) logs.splice(0, logs.length - 300);
+  _isVisible(idx, entry) {
+    return !entry.event || !this.sessionHidden[idx].has(entry.event.type);
+  }
+
+  _addSessionLine(idx, line, event = null) {
+    const logs = this.sessionLogs[idx];
+    // Lines keep their record's time; events without one are stamped now
+    const at = (event && Date.parse(event.timestamp)) || Date.now();
+    const entry = { text: line, event, at };
+
+    // Subagent lines go under their Task: after that subagent's latest line,
+    // or the Task line itself, so parallel subagents each stay one block
+    const parent = event && event.isSidechain ? event.parentToolUseId : null;
+    const anchor = parent ? this.subagentTails[idx].get(parent) || this.toolLines[idx].get(parent) : null;
+    const pos = anchor ? logs.lastIndexOf(anchor) : -1;
+    if (pos >= 0 && pos < logs.length - 1) {
+      logs.splice(pos + 1, 0, entry);
+    } else {
+      this._addDateSeparator(idx, at);
+      logs.push(entry);
+    }
+    if (parent) this.subagentTails[idx].set(parent, entry);
+
+    // Backfilled history is all kept; live lines beyond it push out the oldest
+    const limit = event && event.isHistory
+      ? (this.sessionLimits[idx] = Math.max(this.sessionLimits[idx], logs.length + LOG_LIMIT))
+      : this.sessionLimits[idx];
+    if (logs.length > limit) {
+      const removed = logs.splice(0, logs.length - limit);
+      // Evicted lines take their events (and raw result text) with them
+      for (const e of removed) {
+        const id = e.event && e.event.toolUseId;
+        if (id && this.toolLines[idx].get(id) === e) this.toolLines[idx].delete(id);
+        const owner = e.event && e.event.parentToolUseId;
+        if (owner && this.subagentTails[idx].get(owner) === e) this.subagentTails[idx].delete(owner);
+      }
+      const dropped = removed.filter(e => this._isVisible(idx, e)).length;
+      // Keep a paused view anchored on the same lines
+      if (!this.sessionFollow[idx] && dropped > 0) {
+        try { this.sessionScrollBoxes[idx].scroll(-dropped); } catch (e) {}
+      }
+    }
+    if (!this.sessionFollow[idx] && this._isVisible(idx, entry)) this.sessionUnseen[idx]++;
 
     this._dirtySessions.add(idx);
     this._scheduleRender();
+    return entry;
+  }
+
+  // "── Sat, Oct 17, 2026 ──" where the log crosses into a new day, and atop
+  // a log that starts before today. Separators carry no event or time
+  _addDateSeparator(idx, at) {
+    const tf = this.timeFormat;
+    const logs = this.sessionLogs[idx];
+    const prev = logs.length > 0 ? logs[logs.length - 1].at : Date.now();
+    if (tf.day(at) === tf.day(prev)) return;
+    logs.push({ text: this.theme.fg('muted', `──── ${escTag(tf.dayLabel(at))} ────`), event: null });
   }
 
   // ── Throttled render ──────────────────────────────────────────────────────────
@@ -611,6 +1031,10 @@ class HackviewUI {
     // Clock + system stats: update every second
     this._clockTimer = setInterval(async () => {
       this._dirtyHeader = true;
+      // Relative stamps ("12s ago") age with the clock
+      if (this.timeFormat.relative) {
+        this.sessionLogs.forEach((logs, i) => { if (logs.length > 0) this._dirtySessions.add(i); });
+      }
 
       // Sample network
       const netVal = await sampleNet().catch(() => 0);
@@ -623,6 +1047,12 @@ class HackviewUI {
   // ── Public API ────────────────────────────────────────────────────────────────
 
   setFile(sessionIndex, filePath) {
+    if (filePath !== this.sessionFiles[sessionIndex]) {
+      // A different session: drop the previous file's lines
+      this.resetSession(sessionIndex);
+      this.sessionUsage[sessionIndex] = null;
+      this.sessionContext[sessionIndex] = null;
+    }
     this.sessionFiles[sessionIndex]  = filePath;
     this.sessionStatus[sessionIndex] = 'idle';
     this._dirtySessions.add(sessionIndex);
@@ -632,26 +1062,535 @@ class HackviewUI {
   setNoFile(sessionIndex) {
     this.sessionFiles[sessionIndex]  = null;
     this.sessionStatus[sessionIndex] = 'waiting';
+    this.resetSession(sessionIndex);
+    this.sessionUsage[sessionIndex] = null;
+    this.sessionContext[sessionIndex] = null;
+    this._dirtySessions.add(sessionIndex);
+    this._scheduleRender();
+  }
+
+  /**
+   * Where the session now runs: { cwd, gitBranch, version } from SessionWatcher
+   * 'context'; sent again whenever it changes directory or branch
+   */
+  setSessionContext(sessionIndex, context) {
+    this.sessionContext[sessionIndex] = context;
+    this._dirtySessions.add(sessionIndex);
+    this._scheduleRender();
+  }
+
+  /**
+   * A log line could not be parsed and was skipped: { line, stats } from
+   * SessionWatcher 'parse-error'
+   */
+  addParseError(sessionIndex, { stats }) {
+    this.sessionDropped[sessionIndex] = stats.parseErrors;
+    this._dirtySessions.add(sessionIndex);
+    this._scheduleRender();
+  }
+
+  /**
+   * Drop a panel's lines ahead of a history reload; file, status, usage,
+   * filters and search query stay
+   */
+  resetSession(sessionIndex) {
     this.sessionLogs[sessionIndex]   = [];
+    this.sessionUnseen[sessionIndex] = 0;
+    this.sessionLimits[sessionIndex] = LOG_LIMIT;
+    this.sessionDropped[sessionIndex] = 0;
+    this.toolLines[sessionIndex].clear();
+    this.subagentTails[sessionIndex].clear();
+    if (this.sessionSearch[sessionIndex]) this.sessionSearch[sessionIndex].current = null;
+    this.sessionCursor[sessionIndex] = null;
+    this._dirtySessions.add(sessionIndex);
+    this._scheduleRender();
+  }
+
+  /**
+   * Extra text for a panel label (blessed tags allowed); '' clears it
+   */
+  setPanelNote(sessionIndex, note) {
+    this.sessionNotes[sessionIndex] = note || '';
+    this._dirtySessions.add(sessionIndex);
+    this._scheduleRender();
+  }
+
+  /**
+   * Show plain text in a panel label for a few seconds
+   */
+  showMessage(sessionIndex, text, ms = 5000) {
+    if (this.messageTimers[sessionIndex]) clearTimeout(this.messageTimers[sessionIndex]);
+    this.sessionMessages[sessionIndex] = text;
+    this.messageTimers[sessionIndex] = setTimeout(() => {
+      this.messageTimers[sessionIndex] = null;
+      this.sessionMessages[sessionIndex] = '';
+      this._dirtySessions.add(sessionIndex);
+      this._scheduleRender();
+    }, ms);
+    this._dirtySessions.add(sessionIndex);
+    this._scheduleRender();
+  }
+
+  /**
+   * Cumulative token counts and cost for the panel's session (from SessionWatcher)
+   */
+  setSessionUsage(sessionIndex, totals) {
+    this.sessionUsage[sessionIndex] = totals;
+    this._dirtySessions.add(sessionIndex);
+    this._scheduleRender();
+  }
+
+  /**
+   * Budget alert: terminal bell plus a flashing full-width banner
+   * opts: { bell, flash } (both default on)
+   */
+  alert(alert, opts = {}) {
+    if (!this.screen) return;
+    if (opts.bell !== false) {
+      try { this.screen.program.bell(); } catch (e) {}
+    }
+    if (opts.flash === false) return;
+
+    this._clearAlertBanner();
+    // Opens over the whole screen, then settles to a banner across the middle
+    const box = blessed.box({
+      parent: this.screen,
+      top: 0, left: 0,
+      width: '100%', height: '100%',
+      tags: true,
+      align: 'center',
+      valign: 'middle',
+      border: { type: 'line' },
+      content: `{bold}⚠  BUDGET ALERT  ⚠{/bold}\n${escTag(alert.message)}`,
+      style: {
+        fg: this.theme.color('alert'),
+        bg: this.theme.color('alertBg'),
+        border: { fg: this.theme.color('alertBorder') },
+        // No colours: blink in reverse video instead
+        inverse: this.theme.color('alertBg') === null,
+      },
+    });
+
+    // Blink for a few seconds, then go away on its own
+    let ticks = 0;
+    const timer = setInterval(() => {
+      ticks++;
+      if (ticks >= 12) {
+        this._clearAlertBanner();
+        return;
+      }
+      if (ticks === 4) {
+        box.top = 'center';
+        box.height = 5;
+      }
+      if (this.theme.color('alertBg') !== null) {
+        box.style.bg = this.theme.color(ticks % 2 === 0 ? 'alertBg' : 'bg');
+      } else {
+        box.style.inverse = ticks % 2 === 0;
+      }
+      this._scheduleRender();
+    }, 400);
+    this._alertBanner = { box, timer };
+    this._scheduleRender();
+  }
+
+  _clearAlertBanner() {
+    if (!this._alertBanner) return;
+    clearInterval(this._alertBanner.timer);
+    try { this._alertBanner.box.destroy(); } catch (e) {}
+    this._alertBanner = null;
+    this._scheduleRender();
+  }
+
+  setPinned(sessionIndex, pinned) {
+    this.sessionPinned[sessionIndex] = pinned;
+    this._dirtySessions.add(sessionIndex);
+    this._scheduleRender();
+  }
+
+  // Highlighted list row: the theme's tint, or reverse video without one
+  _selectedStyle() {
+    const bg = this.theme.color('selected');
+    return bg !== null ? { bg, bold: true } : { inverse: true, bold: true };
+  }
+
+  /**
+   * Show the session picker for a panel
+   * sessions: [{ file, mtime, project, sessionId, firstPrompt, cost, pending }],
+   * newest first; pending ones are still being read (see updatePicker)
+   */
+  showPicker(sessionIndex, sessions) {
+    if (this._modal || !this.screen) return;
+    const t = this.theme;
+
+    const list = blessed.list({
+      parent: this.screen,
+      top: 'center', left: 'center',
+      width: '90%', height: '70%',
+      tags: true,
+      keys: true,
+      vi: true,
+      border: { type: 'line' },
+      label: ` ◈ SELECT SESSION → PANEL ${sessionIndex + 1}  (enter: pick, esc: cancel) `,
+      items: this._pickerItems(sessions),
+      scrollbar: { ch: '│', style: { fg: t.color('border') } },
+      style: { ...t.style('fg', 'dialogBorder'), selected: this._selectedStyle() },
+    });
+    this._picker = { list, sessions };
+
+    const close = () => {
+      this._modal = null;
+      this._picker = null;
+      list.destroy();
+      this._scheduleRender();
+    };
+
+    list.on('select', (item, index) => {
+      const picked = this._picker && this._picker.sessions[index];
+      close();
+      if (picked) this.emit('pick-session', sessionIndex, picked.file);
+    });
+    list.key(['escape', 'q'], close);
+
+    this._modal = list;
+    list.focus();
+    this._scheduleRender();
+  }
+
+  /**
+   * Refresh the open picker with newer summaries, keeping the selection
+   * Returns: false once the picker is closed
+   */
+  updatePicker(sessions) {
+    if (!this._picker) return false;
+    const { list } = this._picker;
+    const selected = list.selected;
+    this._picker.sessions = sessions;
+    list.setItems(this._pickerItems(sessions));
+    list.select(selected);
+    this._scheduleRender();
+    return true;
+  }
+
+  _pickerItems(sessions) {
+    const t = this.theme;
+    if (sessions.length === 0) return [t.fg('muted', 'no sessions found')];
+    return sessions.map((s) => {
+      const d = new Date(s.mtime);
+      const when = `${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')} `
+        + `${String(d.getHours()).padStart(2, '0')}:${String(d.getMinutes()).padStart(2, '0')}`;
+      const shown = this.sessionFiles.indexOf(s.file);
+      const slot = shown >= 0 ? t.fg('accent', `[${shown + 1}]`) : '   ';
+      const project = s.project.length > 24 ? '…' + s.project.slice(-23) : s.project.padEnd(24);
+      const prompt = (s.firstPrompt || '').replace(/\s+/g, ' ').slice(0, 80);
+      return `${slot} ${t.fg('muted', when)} ${t.fg('value', escTag(project))} `
+        + `${t.fg('success', escTag(s.sessionId.slice(0, 8)))} `
+        + (s.pending ? t.fg('muted', '      …') : t.fg('cost', `$${s.cost.toFixed(2).padStart(6)}`))
+        + ` ${t.fg('text', escTag(prompt))}`;
+    });
+  }
+
+  /**
+   * Prompt for a search in a panel, prefilled with its current query
+   */
+  openSearch(sessionIndex) {
+    if (this._modal || !this.screen) return;
+
+    const prev = this.sessionSearch[sessionIndex];
+    const input = blessed.textbox({
+      parent: this.screen,
+      bottom: 0, left: 0,
+      width: '100%', height: 3,
+      border: { type: 'line' },
+      label: ` ⌕ SEARCH PANEL ${sessionIndex + 1}  (text, /regex/flags, type:tool,error,user,text,thinking · enter: search, esc: cancel) `,
+      style: this.theme.style('dialog', 'dialogBorder'),
+    });
+    input.setValue(prev ? prev.query : '');
+
+    this._modal = input;
+    input.readInput((err, value) => {
+      this._modal = null;
+      input.destroy();
+      if (!err && typeof value === 'string') this.search(sessionIndex, value);
+      this._scheduleRender();
+    });
+    this._scheduleRender();
+  }
+
+  /**
+   * Search a panel and jump to the newest match; '' clears the search
+   */
+  search(sessionIndex, input) {
+    const search = parseSearch(input);
+    if (search && search.error) {
+      this.showMessage(sessionIndex, `⌕ ${search.error}`);
+      return;
+    }
+    this.sessionSearch[sessionIndex] = search ? { ...search, current: null, seen: new WeakMap() } : null;
+    this._dirtySessions.add(sessionIndex);
+    this._scheduleRender();
+    if (search) this.nextMatch(sessionIndex, -1);
+  }
+
+  /**
+   * Move to the next (dir 1, down) or previous (dir -1, up) match, wrapping around
+   */
+  nextMatch(sessionIndex, dir) {
+    const search = this.sessionSearch[sessionIndex];
+    if (!search) return;
+    const logs = this._visibleLogs(sessionIndex);
+
+    let from = search.current ? logs.indexOf(search.current) : -1;
+    if (from < 0) from = dir > 0 ? -1 : logs.length;
+    for (let step = 1; step <= logs.length; step++) {
+      const i = (((from + dir * step) % logs.length) + logs.length) % logs.length;
+      if (searchMatches(search, logs[i])) {
+        search.current = logs[i];
+        this._scrollToLine(sessionIndex, i);
+        return;
+      }
+    }
+    this._dirtySessions.add(sessionIndex);
+    this._scheduleRender();
+  }
+
+  // Bring log line i into view; jumping pauses follow like scrolling up does
+  _scrollToLine(sessionIndex, i) {
+    const box = this.sessionScrollBoxes[sessionIndex];
+    if (!box) return;
+    if (this.sessionFollow[sessionIndex]) this.sessionUnseen[sessionIndex] = 0;
+    this.sessionFollow[sessionIndex] = false;
+    try {
+      this._renderSessionLog(sessionIndex);
+      // Long lines wrap: map the log line to its first screen row
+      const rows = box._clines && box._clines.ftor && box._clines.ftor[i];
+      box.scrollTo(rows && rows.length > 0 ? rows[0] : i);
+    } catch (e) {
+      // ignore
+    }
+    this._dirtySessions.add(sessionIndex);
+    this._scheduleRender();
+  }
+
+  /**
+   * Hide these event types in a panel; their lines stay in memory, so
+   * showing a type again brings its lines back
+   */
+  setHiddenTypes(sessionIndex, types) {
+    this.sessionHidden[sessionIndex] = new Set(types);
+    this._dirtySessions.add(sessionIndex);
+    this._scheduleRender();
+  }
+
+  // Step a panel through the verbosity presets
+  cycleVerbosity(sessionIndex) {
+    const names = Object.keys(VERBOSITY);
+    const current = names.indexOf(verbosityName(this.sessionHidden[sessionIndex]));
+    const next = names[(current + 1) % names.length];
+    this.setHiddenTypes(sessionIndex, VERBOSITY[next]);
+  }
+
+  /**
+   * Toggle event types and apply presets for a panel from a checklist overlay
+   */
+  showFilterMenu(sessionIndex) {
+    if (this._modal || !this.screen) return;
+
+    const presets = Object.keys(VERBOSITY);
+    const items = () => {
+      const hidden = this.sessionHidden[sessionIndex];
+      const active = verbosityName(hidden);
+      return [
+        ...EVENT_TYPES.map(type => `${hidden.has(type) ? '[ ]' : this.theme.fg('success', '[x]')} ${type}`),
+        ...presets.map(p => `${p === active ? this.theme.fg('accent', '(•)') : '( )'} preset: ${p}`),
+      ];
+    };
+
+    const list = blessed.list({
+      parent: this.screen,
+      top: 'center', left: 'center',
+      width: 44, height: EVENT_TYPES.length + presets.length + 2,
+      tags: true,
+      keys: true,
+      vi: true,
+      border: { type: 'line' },
+      label: ` ◧ PANEL ${sessionIndex + 1} EVENTS  (enter: toggle, esc: close) `,
+      items: items(),
+      style: { ...this.theme.style('fg', 'dialogBorder'), selected: this._selectedStyle() },
+    });
+
+    const close = () => {
+      this._modal = null;
+      list.destroy();
+      this._scheduleRender();
+    };
+
+    list.on('select', (item, index) => {
+      if (index < EVENT_TYPES.length) {
+        const hidden = new Set(this.sessionHidden[sessionIndex]);
+        const type = EVENT_TYPES[index];
+        if (hidden.has(type)) hidden.delete(type);
+        else hidden.add(type);
+        this.setHiddenTypes(sessionIndex, hidden);
+      } else {
+        this.setHiddenTypes(sessionIndex, VERBOSITY[presets[index - EVENT_TYPES.length]]);
+      }
+      list.setItems(items());
+      list.select(index);
+      this._scheduleRender();
+    });
+    list.key(['escape', 'q', 't'], close);
+
+    this._modal = list;
+    list.focus();
+    this._scheduleRender();
+  }
+
+  // Position of the selected line among the visible ones, or -1
+  _cursorIndex(sessionIndex) {
+    const cursor = this.sessionCursor[sessionIndex];
+    return cursor ? this._visibleLogs(sessionIndex).indexOf(cursor) : -1;
+  }
+
+  /**
+   * Move the selected line by `delta`; without a selection, select the
+   * current search match or else the bottom line in view
+   */
+  moveCursor(sessionIndex, delta) {
+    const logs = this._visibleLogs(sessionIndex);
+    if (logs.length === 0) return;
+
+    let i = this._cursorIndex(sessionIndex);
+    if (i < 0) {
+      const search = this.sessionSearch[sessionIndex];
+      i = search && search.current ? logs.indexOf(search.current) : -1;
+      if (i < 0) i = this._bottomLineInView(sessionIndex, logs.length);
+    } else {
+      i = Math.max(0, Math.min(logs.length - 1, i + delta));
+    }
+    this.sessionCursor[sessionIndex] = logs[i];
+    this._scrollToLine(sessionIndex, i);
+  }
+
+  clearCursor(sessionIndex) {
+    this.sessionCursor[sessionIndex] = null;
+    this._dirtySessions.add(sessionIndex);
+    this._scheduleRender();
+  }
+
+  // Log line shown on the last row of the panel
+  _bottomLineInView(sessionIndex, count) {
+    const box = this.sessionScrollBoxes[sessionIndex];
+    try {
+      const rtof = box._clines.rtof;
+      const row = Math.min(box.childBase + box.height - box.iheight - 1, rtof.length - 1);
+      return Math.max(0, Math.min(count - 1, rtof[row]));
+    } catch (e) {
+      return count - 1;
+    }
+  }
+
+  /**
+   * Full detail of the selected line in a scrollable overlay
+   */
+  showDetail(sessionIndex) {
+    const entry = this.sessionCursor[sessionIndex];
+    if (this._modal || !this.screen || !entry || !entry.event) return;
+
+    const box = blessed.box({
+      parent: this.screen,
+      top: 'center', left: 'center',
+      width: '90%', height: '80%',
+      border: { type: 'line' },
+      label: ` ◈ EVENT DETAIL  (j/k, PgUp/PgDn: scroll, esc: close) `,
+      content: formatDetail(entry),
+      scrollable: true,
+      alwaysScroll: true,
+      keys: true,
+      vi: true,
+      scrollbar: { ch: '│', style: { fg: this.theme.color('border') } },
+      style: this.theme.style('dialog', 'dialogBorder'),
+    });
+
+    const close = () => {
+      this._modal = null;
+      box.destroy();
+      this._scheduleRender();
+    };
+    box.key(['escape', 'q', 'enter'], close);
+
+    this._modal = box;
+    box.focus();
+    this._scheduleRender();
+  }
+
+  focusSession(sessionIndex) {
+    if (sessionIndex < 0 || sessionIndex >= this.numSessions) return;
+    const prev = this.focusedSession;
+    this.focusedSession = sessionIndex;
+    this._updateSessionBg(prev);
+    this._updateSessionBg(sessionIndex);
+    this._dirtySessions.add(prev);
+    this._dirtySessions.add(sessionIndex);
+    this._scheduleRender();
+  }
+
+  /**
+   * Scroll a panel by `delta` lines; scrolling up pauses follow,
+   * reaching the bottom resumes it
+   */
+  scrollSession(sessionIndex, delta) {
+    const box = this.sessionScrollBoxes[sessionIndex];
+    if (!box) return;
+    try {
+      if (delta === -Infinity) box.setScroll(0);
+      else box.scroll(delta);
+
+      if (delta < 0) {
+        if (this.sessionFollow[sessionIndex]) this.sessionUnseen[sessionIndex] = 0;
+        this.sessionFollow[sessionIndex] = false;
+      } else if (box.getScrollPerc() >= 100) {
+        this.setFollow(sessionIndex, true);
+        return;
+      }
+      this._renderSessionLabel(sessionIndex);
+      this._scheduleRender();
+    } catch (e) {
+      // ignore
+    }
+  }
+
+  setFollow(sessionIndex, follow) {
+    this.sessionFollow[sessionIndex] = follow;
+    if (follow) this.sessionUnseen[sessionIndex] = 0;
     this._dirtySessions.add(sessionIndex);
     this._scheduleRender();
   }
 
   addEvent(sessionIndex, event) {
+    const t = this.theme;
     let line = null;
-    const ts = new Date().toISOString().substr(11, 8);
+    // The time stamp is added when the log is drawn (see _renderSessionLog).
+    // Subagent (sidechain) lines sit indented under their Task line (see
+    // _addSessionLine), tagged with the agent type
+    let prefix = '';
+    if (event.isSidechain) {
+      const agent = event.subagentStats ? `${t.fg('faint', escTag(event.subagentStats.agentType))} ` : '';
+      prefix = `${t.fg('muted', '┆')} ${agent}`;
+    }
 
     try {
       switch (event.type) {
         case 'session-start':
-          line = `{#006666-fg}${ts}{/} {cyan-fg}▶ SESSION STARTED{/}`;
+          line = prefix + t.fg('info', '▶ SESSION STARTED');
           this.sessionStatus[sessionIndex] = 'idle';
           break;
 
         case 'user': {
+          if (event.isAgentPrompt) return; // the Task line already describes it
           const text    = event.content || '';
           const preview = escTag(text.replace(/\n/g, ' ').slice(0, 120));
-          line = `{#006666-fg}${ts}{/} {#00ffff-fg}▷ USER:{/} {white-fg}${preview}{/}`;
+          line = `${prefix}${t.fg('user', '▷ USER:')} ${t.fg('text', preview)}`;
           this.sessionStatus[sessionIndex] = 'streaming';
           break;
         }
@@ -660,19 +1599,17 @@ class HackviewUI {
           this.sessionStatus[sessionIndex] = 'thinking';
           const thinkText = (event.content || '').trim();
           if (!thinkText) {
-            line = `{#006666-fg}${ts}{/} {#00cc66-fg}💭 thinking...{/}`;
+            line = prefix + t.fg('thinking', '💭 thinking...');
           } else {
             // Show full thinking text, split into multiple lines for busy scrolling effect
             const lines = thinkText.split(/\n/).filter(l => l.trim());
-            const formatted = lines.map(l => `{#006666-fg}${ts}{/} {#00cc66-fg}💭 ${escTag(l)}{/}`);
+            const formatted = lines.map(l => prefix + t.fg('thinking', `💭 ${escTag(l)}`));
             // Push all lines, return early
+            this._updateSessionBg(sessionIndex);
             for (const fl of formatted) {
-              this.sessionLogs[sessionIndex].push(fl);
+              this._addSessionLine(sessionIndex, fl, event);
             }
-            this._dirtySessions.add(sessionIndex);
-            this._renderSessionLabel(sessionIndex);
-            this._renderSessionLog(sessionIndex);
-            this._scheduleRender();
+            this._updateTaskLine(sessionIndex, event);
             return; // already pushed lines
           }
           break;
@@ -683,25 +1620,49 @@ class HackviewUI {
           const text = event.content || '';
           if (!text.trim()) return;
           const preview = escTag(text.replace(/\n/g, ' ').slice(0, 150));
-          line = `{#006666-fg}${ts}{/} {green-fg}◎ {/}{white-fg}${preview}{/}`;
+          line = prefix + t.fg('success', '◎ ') + t.fg('text', preview);
           break;
         }
 
-        case 'tool_use':
+        case 'tool_use': {
           this.sessionStatus[sessionIndex] = 'streaming';
-          line = `{#006666-fg}${ts}{/} {yellow-fg}⚙ ${escTag(event.content || '')}{/}`;
-          break;
+          this._updateSessionBg(sessionIndex);
+          const entry = { prefix, event, stats: null, result: null };
+          const added = this._addSessionLine(sessionIndex, this._formatToolLine(entry), event);
+          Object.assign(added, entry);
+          if (event.toolUseId) this.toolLines[sessionIndex].set(event.toolUseId, added);
+          this._updateTaskLine(sessionIndex, event);
+          return;
+        }
+
+        case 'tool_result': {
+          // Never its own line: the matching tool line turns ✓ or ✗
+          const entry = this.toolLines[sessionIndex].get(event.toolUseId);
+          if (entry) {
+            entry.result = event;
+            entry.text = this._formatToolLine(entry);
+            this._dirtySessions.add(sessionIndex);
+            this._scheduleRender();
+          }
+          this._updateTaskLine(sessionIndex, event);
+          return;
+        }
 
         case 'complete': {
+          // A subagent finishing a turn is not the session finishing
+          if (event.isSidechain) {
+            this._updateTaskLine(sessionIndex, event);
+            return;
+          }
           this.sessionStatus[sessionIndex] = 'complete';
 
           if (event.usage) {
             const u      = event.usage;
             const inTok  = formatNum(u.input_tokens  || 0);
             const outTok = formatNum(u.output_tokens || 0);
-            line = `{#006666-fg}${ts}{/} {#00ffff-fg}✓ DONE{/} {#006666-fg}in:${inTok} out:${outTok}{/}`;
+            line = `${prefix}${t.fg('accent', '✓ DONE')} ${t.fg('muted', `in:${inTok} out:${outTok}`)}`;
           } else {
-            line = `{#006666-fg}${ts}{/} {#00ffff-fg}✓ DONE{/}`;
+            line = prefix + t.fg('accent', '✓ DONE');
           }
 
           this._flashComplete(sessionIndex);
@@ -718,19 +1679,61 @@ class HackviewUI {
 
     if (line) {
       this._updateSessionBg(sessionIndex);
-      this._addSessionLine(sessionIndex, line);
+      this._addSessionLine(sessionIndex, line, event);
+      this._updateTaskLine(sessionIndex, event);
     }
   }
 
+  /**
+   * ⚙ Tool(...) line: pending while the call runs, then ✓/✗ with elapsed
+   * time and a result summary. Task lines also show their subagent stats
+   */
+  _formatToolLine(entry) {
+    const t = this.theme;
+    const { prefix, event, stats, result } = entry;
+    let line = prefix + t.fg('tool', `⚙ ${escTag(event.content || '')}`);
+
+    if (event.subagent && !event.isSidechain) {
+      line += ` ${t.fg('value', `‹${escTag(event.subagent.agentType)}›`)}`;
+      if (stats) {
+        const tools = `${stats.toolCount} tool${stats.toolCount === 1 ? '' : 's'}`;
+        line += ` ${t.fg('muted', `in:${formatNum(stats.inputTokens)} out:${formatNum(stats.outputTokens)} · ${tools}`)}`;
+      }
+    }
+
+    if (result) {
+      const took = result.durationMs !== undefined ? ` ${formatDuration(result.durationMs)}` : '';
+      const summary = result.content ? ` ${escTag(result.content)}` : '';
+      line += result.isError
+        ? ` ${t.fg('error', `✗${took}${summary}`)}`
+        : ` ${t.fg('success', '✓')}${t.fg('value', took)}${t.fg('muted', summary)}`;
+    }
+    return line;
+  }
+
+  // Refresh the spawning Task line with a sidechain event's running subagent stats
+  _updateTaskLine(sessionIndex, event) {
+    if (!event.isSidechain || !event.parentToolUseId || !event.subagentStats) return;
+    const entry = this.toolLines[sessionIndex].get(event.parentToolUseId);
+    if (!entry) return;
+    entry.stats = event.subagentStats;
+    entry.text = this._formatToolLine(entry);
+    this._dirtySessions.add(sessionIndex);
+    this._scheduleRender();
+  }
+
+
   _updateSessionBg(sessionIndex) {
     try {
       const scrollBox  = this.sessionScrollBoxes[sessionIndex];
       const labelBox   = this.sessionHeaderBoxes[sessionIndex];
       const status     = this.sessionStatus[sessionIndex];
 
+      const t = this.theme;
       const isActive = status === 'streaming' || status === 'thinking';
-      const bg = isActive ? COLORS.bgActive : COLORS.bgIdle;
-      const borderFg = isActive ? COLORS.dimGreen : COLORS.darkGreen;
+      const bg = isActive ? t.background('panelActive') : t.color('bg');
+      let borderFg = t.color(isActive ? 'borderActive' : 'border');
+      if (sessionIndex === this.focusedSession) borderFg = t.color('borderFocus');
 
       scrollBox.style.bg = bg;
       scrollBox.style.border = { fg: borderFg };
@@ -750,11 +1753,13 @@ class HackviewUI {
         clearTimeout(this.completionTimers[sessionIndex]);
       }
 
-      // Flash: bright green
-      scrollBox.style.bg = COLORS.bgComplete;
-      scrollBox.style.border = { fg: COLORS.brightGreen };
-      labelBox.style.bg  = COLORS.bgComplete;
-      labelBox.style.border = { fg: COLORS.brightGreen };
+      // Flash: bright border, tinted background
+      const t = this.theme;
+      const bg = t.background('flash');
+      scrollBox.style.bg = bg;
+      scrollBox.style.border = { fg: t.color('flashBorder') };
+      labelBox.style.bg  = bg;
+      labelBox.style.border = { fg: t.color('flashBorder') };
 
       this._dirtySessions.add(sessionIndex);
       this._scheduleRender();
@@ -762,11 +1767,8 @@ class HackviewUI {
       // Revert after 1.5s
       this.completionTimers[sessionIndex] = setTimeout(() => {
         try {
-          scrollBox.style.bg = COLORS.bgIdle;
-          scrollBox.style.border = { fg: COLORS.darkGreen };
-          labelBox.style.bg  = COLORS.bgIdle;
-          labelBox.style.border = { fg: COLORS.darkGreen };
           this.sessionStatus[sessionIndex] = 'idle';
+          this._updateSessionBg(sessionIndex);
           this._dirtySessions.add(sessionIndex);
           this._scheduleRender();
         } catch (e) {}
@@ -791,9 +1793,10 @@ class HackviewUI {
   destroy() {
     if (this._clockTimer) clearInterval(this._clockTimer);
     if (this._renderTimer) clearInterval(this._renderTimer);
-    for (const t of this.completionTimers) {
+    for (const t of [...this.completionTimers, ...this.messageTimers]) {
       if (t) clearTimeout(t);
     }
+    if (this._alertBanner) clearInterval(this._alertBanner.timer);
     try { this.screen.destroy(); } catch (e) {}
   }
 }
@@ -1,7 +1,11 @@
 'use strict';
 
-const { execFile } = require('child_process');
 const { EventEmitter } = require('events');
+const { parseRecord } = require('./parser');
+const { costForUsage } = require('./pricing');
+const { readCompleteLines } = require('./reader');
+
+const HOUR_MS = 3600000;
 
 function formatNum(n) {
   if (!n) return '0';
@@ -26,130 +30,72 @@ function getTodayDateHyphen() {
   return `${y}-${m}-${day}`;
 }
 
-/**
- * Run ccusage and parse the output
- */
-function fetchUsage() {
-  return new Promise((resolve) => {
-    const today = getTodayDate();
-
-    const { exec } = require('child_process');
-    const args = `--yes ccusage@latest daily --json --since ${today}`;
-    // Try multiple npx locations (homebrew, nvm, system)
-    const npxPaths = [
-      'npx',
-      '/opt/homebrew/bin/npx',
-      '/usr/local/bin/npx',
-      `${process.env.HOME}/.nvm/versions/node/${process.version}/bin/npx`,
-    ];
-
-    const errors = [];
-    const tryNext = (idx) => {
-      if (idx >= npxPaths.length) {
-        resolve({ _error: true, message: errors.join(' | ') || 'all npx paths failed' });
-        return;
-      }
-      const cmd = `${npxPaths[idx]} ${args}`;
-      exec(cmd, {
-        timeout: 45000,
-        maxBuffer: 2 * 1024 * 1024,
-        shell: '/bin/bash',
-        env: { ...process.env, PATH: `/opt/homebrew/bin:/usr/local/bin:${process.env.PATH || ''}` },
-      }, (err, stdout, stderr) => {
-        if (err || !stdout.trim()) {
-          const errMsg = `[${npxPaths[idx]}] ${err ? err.message.split('\n')[0] : 'empty output'}`;
-          errors.push(errMsg);
-          tryNext(idx + 1);
-          return;
-        }
-        const result = parseUsageOutput(stdout);
-        if (result) { resolve(result); } else {
-          errors.push(`[${npxPaths[idx]}] parse failed: ${stdout.slice(0, 100)}`);
-          tryNext(idx + 1);
-        }
-      });
-    };
-    tryNext(0);
-  });
+function startOfToday() {
+  const d = new Date();
+  d.setHours(0, 0, 0, 0);
+  return d.getTime();
 }
 
-function parseUsageOutput(stdout) {
-  try {
-    // ccusage might output multiple lines; find the JSON part
-    const lines = stdout.trim().split('\n');
-    let jsonStr = null;
-
-    // Try to find a JSON array or object
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i].trim();
-      if (line.startsWith('[') || line.startsWith('{')) {
-        // Collect until end of JSON
-        jsonStr = lines.slice(i).join('\n');
-        break;
-      }
-    }
+/**
+ * Turn an assistant record into a usage entry
+ * Returns: { key, timestamp, model, inputTokens, outputTokens, cacheReadTokens, cacheCreationTokens, cost } or null
+ */
+function extractUsageEntry(record) {
+  if (!record || record.type !== 'assistant' || !record.message) return null;
+  const msg = record.message;
+  const u = msg.usage;
+  if (!u) return null;
 
-    if (!jsonStr) return null;
+  const timestamp = Date.parse(record.timestamp);
+  if (!timestamp) return null;
 
-    const data = JSON.parse(jsonStr);
+  const entry = {
+    // Streaming chunks of one message repeat the same usage; count it once
+    key: `${msg.id || record.uuid}:${record.requestId || ''}`,
+    timestamp,
+    model: msg.model || 'unknown',
+    inputTokens: u.input_tokens || 0,
+    outputTokens: u.output_tokens || 0,
+    cacheReadTokens: u.cache_read_input_tokens || 0,
+    cacheCreationTokens: u.cache_creation_input_tokens || 0,
+    cost: typeof record.costUSD === 'number' ? record.costUSD : costForUsage(msg.model, u),
+  };
 
-    // ccusage wraps in {daily: [...], totals: {...}}
-    if (data && data.daily && Array.isArray(data.daily)) {
-      return aggregateUsage(data.daily);
-    } else if (Array.isArray(data)) {
-      return aggregateUsage(data);
-    } else if (data && typeof data === 'object') {
-      return formatUsageData(data);
-    }
-    return null;
-  } catch (e) {
-    return null;
-  }
+  const total = entry.inputTokens + entry.outputTokens + entry.cacheReadTokens + entry.cacheCreationTokens;
+  return total > 0 ? entry : null;
 }
 
-function aggregateUsage(records) {
-  const today = getTodayDateHyphen();
-  const todayCompact = getTodayDate();
-  const todayRecords = records.filter(r => r.date === today || r.date === todayCompact);
-
-  if (todayRecords.length === 0 && records.length > 0) {
-    todayRecords.push(records[records.length - 1]);
+function dedupeEntries(entries) {
+  const seen = new Map();
+  for (const e of entries) {
+    if (!seen.has(e.key)) seen.set(e.key, e);
   }
+  return [...seen.values()].sort((a, b) => a.timestamp - b.timestamp);
+}
 
-  if (todayRecords.length === 0) return null;
-
+/**
+ * Sum entries since `since` (default: today) into the daily usage shape
+ */
+function aggregateUsage(entries, since = startOfToday()) {
   let totalInput = 0, totalOutput = 0, totalCost = 0, totalCacheRead = 0, totalCacheWrite = 0;
   const modelBreakdown = {};
 
-  for (const r of todayRecords) {
-    totalInput += r.inputTokens || 0;
-    totalOutput += r.outputTokens || 0;
-    totalCost += r.totalCost || r.cost || 0;
-    totalCacheRead += r.cacheReadTokens || 0;
-    totalCacheWrite += r.cacheCreationTokens || 0;
-
-    // ccusage format: modelBreakdowns is an array of {modelName, inputTokens, ...}
-    const breakdowns = r.modelBreakdowns || r.modelBreakdown || [];
-    if (Array.isArray(breakdowns)) {
-      for (const mb of breakdowns) {
-        const name = mb.modelName || mb.model || 'unknown';
-        if (!modelBreakdown[name]) modelBreakdown[name] = { input: 0, output: 0, cost: 0 };
-        modelBreakdown[name].input += mb.inputTokens || 0;
-        modelBreakdown[name].output += mb.outputTokens || 0;
-        modelBreakdown[name].cost += mb.cost || 0;
-      }
-    } else if (typeof breakdowns === 'object') {
-      for (const [model, stats] of Object.entries(breakdowns)) {
-        if (!modelBreakdown[model]) modelBreakdown[model] = { input: 0, output: 0, cost: 0 };
-        modelBreakdown[model].input += stats.inputTokens || 0;
-        modelBreakdown[model].output += stats.outputTokens || 0;
-        modelBreakdown[model].cost += stats.cost || 0;
-      }
-    }
+  for (const e of entries) {
+    if (e.timestamp < since) continue;
+    totalInput += e.inputTokens;
+    totalOutput += e.outputTokens;
+    totalCost += e.cost;
+    totalCacheRead += e.cacheReadTokens;
+    totalCacheWrite += e.cacheCreationTokens;
+
+    if (!modelBreakdown[e.model]) modelBreakdown[e.model] = { input: 0, output: 0, cost: 0 };
+    modelBreakdown[e.model].input += e.inputTokens;
+    modelBreakdown[e.model].output += e.outputTokens;
+    modelBreakdown[e.model].cost += e.cost;
   }
 
   return {
-    date: today,
+    date: getTodayDateHyphen(),
     totalInput,
     totalOutput,
     totalCost,
@@ -159,92 +105,97 @@ function aggregateUsage(records) {
   };
 }
 
-function formatUsageData(r) {
-  const today = getTodayDate();
-  const modelBreakdown = {};
-  const breakdowns = r.modelBreakdowns || r.modelBreakdown || [];
-  if (Array.isArray(breakdowns)) {
-    for (const mb of breakdowns) {
-      const name = mb.modelName || mb.model || 'unknown';
-      modelBreakdown[name] = { input: mb.inputTokens || 0, output: mb.outputTokens || 0, cost: mb.cost || 0 };
+/**
+ * Group entries into billing blocks: a block starts at the hour of its first
+ * entry and lasts `blockHours`, or ends early after a gap of `blockHours`
+ */
+function identifyBlocks(entries, blockHours = 5) {
+  const blockMs = blockHours * HOUR_MS;
+  const blocks = [];
+  let current = null;
+
+  for (const e of entries) {
+    const gap = current ? e.timestamp - current.lastTimestamp : 0;
+    if (!current || e.timestamp >= current.end || gap >= blockMs) {
+      const start = new Date(e.timestamp);
+      start.setMinutes(0, 0, 0);
+      current = { start: start.getTime(), end: start.getTime() + blockMs, lastTimestamp: e.timestamp, entries: [] };
+      blocks.push(current);
     }
+    current.entries.push(e);
+    current.lastTimestamp = e.timestamp;
+  }
+
+  return blocks;
+}
+
+/**
+ * Build the active block summary, or null when no block is running
+ */
+function getActiveBlock(entries, blockHours = 5, now = Date.now()) {
+  const blocks = identifyBlocks(entries, blockHours);
+  const last = blocks[blocks.length - 1];
+  if (!last || now >= last.end || now - last.lastTimestamp >= blockHours * HOUR_MS) return null;
+
+  const tokenCounts = { inputTokens: 0, outputTokens: 0, cacheCreationInputTokens: 0, cacheReadInputTokens: 0 };
+  const models = [];
+  let costUSD = 0;
+
+  for (const e of last.entries) {
+    tokenCounts.inputTokens += e.inputTokens;
+    tokenCounts.outputTokens += e.outputTokens;
+    tokenCounts.cacheCreationInputTokens += e.cacheCreationTokens;
+    tokenCounts.cacheReadInputTokens += e.cacheReadTokens;
+    costUSD += e.cost;
+    if (!models.includes(e.model)) models.push(e.model);
+  }
+
+  const totalTokens = tokenCounts.inputTokens + tokenCounts.outputTokens
+    + tokenCounts.cacheCreationInputTokens + tokenCounts.cacheReadInputTokens;
+
+  // Burn rate over the span actually covered by entries
+  const elapsedMin = (last.lastTimestamp - last.entries[0].timestamp) / 60000;
+  let burnRate = null;
+  let projection = null;
+  if (elapsedMin > 0) {
+    const costPerHour = (costUSD / elapsedMin) * 60;
+    const remainingMinutes = Math.max(0, Math.round((last.end - now) / 60000));
+    burnRate = { costPerHour, tokensPerMinute: totalTokens / elapsedMin };
+    projection = { totalCost: costUSD + costPerHour * (remainingMinutes / 60), remainingMinutes };
   }
+
   return {
-    date: r.date || today,
-    totalInput: r.inputTokens || 0,
-    totalOutput: r.outputTokens || 0,
-    totalCost: r.totalCost || r.cost || 0,
-    totalCacheRead: r.cacheReadTokens || 0,
-    totalCacheWrite: r.cacheCreationTokens || 0,
-    modelBreakdown,
+    startTime: new Date(last.start).toISOString(),
+    endTime: new Date(last.end).toISOString(),
+    costUSD,
+    totalTokens,
+    tokenCounts,
+    models,
+    burnRate,
+    projection,
+    isActive: true,
   };
 }
 
 /**
- * Fetch active block info from ccusage blocks --active --json
+ * Spend measured against the budget: the active block's cost, else today's total
+ * Returns: { cost, budget, pct } (pct is not capped at 100)
  */
-function fetchActiveBlock() {
-  return new Promise((resolve) => {
-    const { exec } = require('child_process');
-    const args = `--yes ccusage@latest blocks --active --json`;
-    const npxPaths = [
-      'npx',
-      '/opt/homebrew/bin/npx',
-      '/usr/local/bin/npx',
-      `${process.env.HOME}/.nvm/versions/node/${process.version}/bin/npx`,
-    ];
-
-    const tryNext = (idx) => {
-      if (idx >= npxPaths.length) {
-        resolve(null);
-        return;
-      }
-      const cmd = `${npxPaths[idx]} ${args}`;
-      exec(cmd, {
-        timeout: 45000,
-        maxBuffer: 2 * 1024 * 1024,
-        shell: '/bin/bash',
-        env: { ...process.env, PATH: `/opt/homebrew/bin:/usr/local/bin:${process.env.PATH || ''}` },
-      }, (err, stdout) => {
-        if (err || !stdout.trim()) {
-          tryNext(idx + 1);
-          return;
-        }
-        try {
-          const data = JSON.parse(stdout.trim());
-          const blocks = data.blocks || [];
-          if (blocks.length > 0) {
-            const b = blocks[0];
-            resolve({
-              startTime: b.startTime,
-              endTime: b.endTime,
-              costUSD: b.costUSD || 0,
-              totalTokens: b.totalTokens || 0,
-              tokenCounts: b.tokenCounts || {},
-              models: b.models || [],
-              burnRate: b.burnRate,
-              projection: b.projection,
-              isActive: true,
-            });
-          } else {
-            resolve(null); // no active block
-          }
-        } catch (e) {
-          tryNext(idx + 1);
-        }
-      });
-    };
-    tryNext(0);
-  });
+function budgetUsage(data, block, budget) {
+  const cost = block ? (block.costUSD || 0) : ((data && data.totalCost) || 0);
+  return { cost, budget, pct: budget > 0 ? (cost / budget) * 100 : 0 };
 }
 
 class UsageMonitor extends EventEmitter {
-  constructor(intervalMs = 60000) {
+  constructor(registry, intervalMs = 60000, blockHours = 5) {
     super();
+    this.registry = registry; // SessionRegistry: which files exist and their mtimes
     this.intervalMs = intervalMs;
+    this.blockHours = blockHours;
     this.timer = null;
     this.lastData = null;
     this.lastBlock = null;
+    this.files = new Map(); // filePath -> { offset, entries }
   }
 
   start() {
@@ -256,18 +207,74 @@ class UsageMonitor extends EventEmitter {
     if (this.timer) clearInterval(this.timer);
   }
 
-  async _fetch() {
+  _fetch() {
     try {
-      const [data, block] = await Promise.all([fetchUsage(), fetchActiveBlock()]);
-      this.lastData = data || this.lastData;
-      this.lastBlock = block || this.lastBlock;
-      this.emit('update', this.lastData);
-      this.emit('block', this.lastBlock);
+      const entries = this._scan();
+      this.lastData = entries ? aggregateUsage(entries) : { _error: true, message: 'no readable log dirs' };
+      this.lastBlock = entries ? getActiveBlock(entries, this.blockHours) : null;
     } catch (e) {
-      this.emit('update', this.lastData);
-      this.emit('block', this.lastBlock);
+      // keep last known values
+    }
+    this.emit('update', this.lastData);
+    this.emit('block', this.lastBlock);
+  }
+
+  // Oldest timestamp that can still matter: today, or two blocks back for the active block
+  _windowStart() {
+    return Math.min(startOfToday(), Date.now() - 2 * this.blockHours * HOUR_MS);
+  }
+
+  _scan() {
+    const since = this._windowStart();
+    const seenFiles = new Set();
+
+    for (const session of this.registry.sessions()) {
+      if (session.mtime < since) continue;
+      seenFiles.add(session.file);
+      try {
+        this._readFile(session.file, session.size);
+      } catch (e) {}
+    }
+
+    for (const file of this.files.keys()) {
+      if (!seenFiles.has(file)) this.files.delete(file);
+    }
+
+    if (this.registry.validDirs.length === 0) return null;
+
+    const all = [];
+    for (const state of this.files.values()) {
+      state.entries = state.entries.filter(e => e.timestamp >= since);
+      all.push(...state.entries);
+    }
+    return dedupeEntries(all);
+  }
+
+  // Read only complete lines appended since the last scan
+  _readFile(filePath, size) {
+    let state = this.files.get(filePath);
+    if (!state || size < state.offset) {
+      state = { offset: 0, entries: [] };
+      this.files.set(filePath, state);
+    }
+
+    const { lines, offset } = readCompleteLines(filePath, state.offset, size);
+    state.offset = offset;
+    for (const line of lines) {
+      const entry = extractUsageEntry(parseRecord(line));
+      if (entry) state.entries.push(entry);
     }
   }
 }
 
-module.exports = { UsageMonitor, fetchUsage, fetchActiveBlock, formatNum, getTodayDate };
+module.exports = {
+  UsageMonitor,
+  extractUsageEntry,
+  dedupeEntries,
+  aggregateUsage,
+  identifyBlocks,
+  getActiveBlock,
+  budgetUsage,
+  formatNum,
+  getTodayDate,
+};
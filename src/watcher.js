@@ -4,7 +4,11 @@ const fs = require('fs');
 const path = require('path');
 const { EventEmitter } = require('events');
 const chokidar = require('chokidar');
-const { parseRecord, extractEvent } = require('./parser');
+const { parseRecord, extractContext, extractEvent, promptText } = require('./parser');
+const { costForUsage } = require('./pricing');
+const { readCompleteLines, readLinesBackward, completeLinesEnd } = require('./reader');
+
+const USAGE_CHUNK = 1024 * 1024; // bytes of older history totalled per tick
 
 /**
  * Find the most recently modified .jsonl files in a directory
@@ -33,129 +37,172 @@ function findLatestJsonl(dir, nth = 0) {
 }
 
 /**
- * Read all existing lines from a file
+ * Parse a history depth: "100" or "100 events", "5 turns" (also "5t", "100e")
+ * Returns: { count, unit: 'events'|'turns' }; throws on anything else
  */
-function readAllLines(filePath) {
-  try {
-    const content = fs.readFileSync(filePath, 'utf8');
-    return content.split('\n').filter(l => l.trim());
-  } catch (e) {
-    return [];
-  }
+function parseHistory(spec) {
+  const m = String(spec).trim().match(/^(\d+)\s*(e|events?|t|turns?)?$/i);
+  if (!m || Number(m[1]) < 1) throw new Error(`bad history "${spec}" (expected e.g. 200, 200 events or 5 turns)`);
+  return { count: Number(m[1]), unit: m[2] && m[2][0].toLowerCase() === 't' ? 'turns' : 'events' };
+}
+
+// A turn starts with a prompt typed into the main session
+function isTurnStart(event) {
+  return event.type === 'user' && !event.isSidechain;
 }
 
+// Streamed assistant chunks with the same key are merged into one line
+function mergeKey(event) {
+  if (!event.messageId || !['text', 'thinking', 'tool_use'].includes(event.type)) return null;
+  return `${event.messageId}:${event.type}:${event.toolUseId || event.toolName || ''}`;
+}
+
+/**
+ * Follows one session file: backfills its tail as history events, then emits
+ * new lines as they are written. Only complete lines are read; a file that
+ * shrinks or is replaced is loaded again from scratch
+ * Emits 'file-change', 'no-file', 'event', 'usage', 'parse-error' (with the
+ * running stats) and 'history-reload' (before a deeper or fresh history replays)
+ */
 class SessionWatcher extends EventEmitter {
-  constructor(dirs, sessionIndex) {
+  constructor(sessionIndex, history = { count: 100, unit: 'events' }) {
     super();
-    this.dirs = dirs; // array of directories to watch
     this.sessionIndex = sessionIndex;
+    this.history = history;        // backfill depth: { count, unit } (see parseHistory)
+    this.depth = history.count;    // current depth; loadMore() adds a page
+    this.historyStart = 0;         // byte offset of the oldest backfilled line
     this.currentFile = null;
-    this.fileSize = 0;
+    this.offset = 0;               // bytes consumed: just past the last complete line
+    this.inode = null;             // to notice the file being replaced
+    // lines: read as events since the history was last loaded; parseErrors:
+    // unreadable lines anywhere in the file, the part only totalled included
+    this.stats = { lines: 0, parseErrors: 0, reloads: 0 };
+    this._usageScan = null;
+    this._scanErrors = [];         // { offset, line } of unreadable lines the usage scan met
     this.watcher = null;
-    this.dirWatcher = null;
-    this.checkInterval = null;
     this.messageStates = new Map(); // messageId -> accumulated state
-  }
-
-  start() {
-    // Poll for the best file every 5 seconds
-    this._checkForNewFile();
-    this.checkInterval = setInterval(() => this._checkForNewFile(), 5000);
-
-    // Also watch directories for new files
-    const validDirs = this.dirs.filter(d => {
-      try { fs.accessSync(d); return true; } catch (e) { return false; }
-    });
-
-    if (validDirs.length > 0) {
-      try {
-        this.dirWatcher = chokidar.watch(validDirs, {
-          depth: 0,
-          ignoreInitial: true,
-          persistent: true,
-        });
-        this.dirWatcher.on('add', (filePath) => {
-          if (filePath.endsWith('.jsonl')) {
-            this._checkForNewFile();
-          }
-        });
-      } catch (e) {
-        // ignore
-      }
-    }
+    this.subagents = new Map();      // Task toolUseId -> subagent stats
+    this.sidechainOwners = new Map(); // sidechain record uuid -> Task toolUseId
+    this.toolCalls = new Map();       // toolUseId -> call timestamp (ms)
+    this.sessionUsage = new Map();    // messageId -> { model, usage }: latest usage per message
+    this.model = null;                // model of the newest main-thread message
+    this.context = null;              // { cwd, gitBranch, version } of the newest main-thread record
   }
 
   stop() {
-    if (this.checkInterval) clearInterval(this.checkInterval);
+    this._usageScan = null;
     if (this.watcher) { try { this.watcher.close(); } catch (e) {} }
-    if (this.dirWatcher) { try { this.dirWatcher.close(); } catch (e) {} }
   }
 
-  _getBestFile() {
-    // Collect ALL jsonl files from all dirs, sorted by mtime
-    const allFiles = [];
-
-    for (const dir of this.dirs) {
-      try {
-        const files = fs.readdirSync(dir)
-          .filter(f => f.endsWith('.jsonl'))
-          .map(f => {
-            const full = path.join(dir, f);
-            try {
-              const stat = fs.statSync(full);
-              return { file: full, mtime: stat.mtimeMs };
-            } catch (e) {
-              return null;
-            }
-          })
-          .filter(Boolean);
-        allFiles.push(...files);
-      } catch (e) {}
+  /**
+   * Follow a file (or nothing); the SessionRegistry decides which
+   */
+  setFile(filePath) {
+    const next = filePath || null;
+    if (next === this.currentFile) return;
+
+    // Switch to new file
+    if (this.watcher) {
+      try { this.watcher.close(); } catch (e) {}
+      this.watcher = null;
     }
 
-    allFiles.sort((a, b) => b.mtime - a.mtime);
+    this._reset(next);
 
-    // Pick the Nth most recent file (sessionIndex 0 = newest, 1 = 2nd newest, etc.)
-    const nth = this.sessionIndex;
-    return allFiles.length > nth ? allFiles[nth].file : null;
+    if (next) {
+      this.emit('file-change', { file: next, sessionIndex: this.sessionIndex });
+      this._loadFile(next);
+    } else {
+      this.emit('no-file', { sessionIndex: this.sessionIndex });
+    }
   }
 
-  _checkForNewFile() {
-    const best = this._getBestFile();
+  /**
+   * Start a file whose lines arrive through feedLine() instead of fs watching
+   * (replay and other clock- or network-driven sources)
+   */
+  open(filePath) {
+    this.stop();
+    this.watcher = null;
+    this._reset(filePath);
+    this.emit('file-change', { file: filePath, sessionIndex: this.sessionIndex });
+  }
 
-    if (best !== this.currentFile) {
-      // Switch to new file
-      if (this.watcher) {
-        try { this.watcher.close(); } catch (e) {}
-        this.watcher = null;
-      }
+  feedLine(line) {
+    this._processLine(line, false);
+  }
 
-      this.currentFile = best;
-      this.messageStates.clear();
+  /**
+   * Backfill another page of history (older events or turns) for the current
+   * file. Returns: false when the backfill already starts at the top of the file
+   */
+  loadMore() {
+    if (!this.currentFile || this.historyStart === 0) return false;
+    this.depth += this.history.count;
+    this.emit('history-reload', { sessionIndex: this.sessionIndex, depth: this.depth, unit: this.history.unit });
+    // Replay from scratch so tool results, subagents and chunks pair up again;
+    // session totals already cover the whole file
+    this.messageStates.clear();
+    this.subagents.clear();
+    this.sidechainOwners.clear();
+    this.toolCalls.clear();
+    this.stats.lines = 0;
+    this.stats.parseErrors = 0;
+    this._backfill(this.currentFile, this.offset);
+    // The backfill re-counted the bad lines it covered; add the older ones
+    const older = this._scanErrors.filter(e => e.offset < this.historyStart);
+    if (older.length > 0) {
+      this.stats.parseErrors += older.length;
+      this.emit('parse-error', { sessionIndex: this.sessionIndex, line: older[older.length - 1].line, stats: { ...this.stats } });
+    }
+    return true;
+  }
 
-      if (best) {
-        this.emit('file-change', { file: best, sessionIndex: this.sessionIndex });
-        this._loadFile(best);
-      } else {
-        this.emit('no-file', { sessionIndex: this.sessionIndex });
-      }
+  // The file shrank or is a new file under the same name: what was read no
+  // longer matches it, so start over
+  _reloadFile(filePath) {
+    if (this.watcher) {
+      try { this.watcher.close(); } catch (e) {}
+      this.watcher = null;
     }
+    const reloads = this.stats.reloads + 1;
+    this._reset(filePath);
+    this.stats.reloads = reloads;
+    this.emit('history-reload', { sessionIndex: this.sessionIndex, depth: this.depth, unit: this.history.unit });
+    this._loadFile(filePath);
+  }
+
+  _reset(filePath) {
+    this.currentFile = filePath;
+    this.depth = this.history.count;
+    this.historyStart = 0;
+    this._usageScan = null;
+    this._scanErrors = [];
+    this.messageStates.clear();
+    this.subagents.clear();
+    this.sidechainOwners.clear();
+    this.toolCalls.clear();
+    this.sessionUsage.clear();
+    this.model = null;
+    this.context = null;
+    this.stats = { lines: 0, parseErrors: 0, reloads: 0 };
   }
 
   _loadFile(filePath) {
-    // Read existing content
-    const lines = readAllLines(filePath);
     try {
-      this.fileSize = fs.statSync(filePath).size;
+      const stat = fs.statSync(filePath);
+      this.inode = stat.ino;
+      this.offset = completeLinesEnd(filePath, stat.size);
     } catch (e) {
-      this.fileSize = 0;
+      this.inode = null;
+      this.offset = 0;
     }
 
-    // Emit historical events (last 50 lines to avoid flooding)
-    const recentLines = lines.slice(-50);
-    for (const line of recentLines) {
-      this._processLine(line, true);
-    }
+    // Only the tail is replayed as events; session totals count every line,
+    // so the rest is totalled in the background
+    this._backfill(filePath, this.offset);
+    this._emitUsage();
+    this._scanUsage(filePath, this.historyStart);
 
     // Watch for new content
     try {
@@ -165,39 +212,222 @@ class SessionWatcher extends EventEmitter {
         awaitWriteFinish: false,
       });
 
-      this.watcher.on('change', () => {
-        this._readNewContent(filePath);
-      });
+      // 'add': the file was deleted and written again under the same name
+      this.watcher.on('change', () => this._readNewContent(filePath));
+      this.watcher.on('add', () => this._readNewContent(filePath));
     } catch (e) {
       // ignore
     }
   }
 
-  _readNewContent(filePath) {
+  /**
+   * Emit the last `depth` events or turns before `end` as history, reading
+   * the file backwards so only those lines are touched
+   */
+  _backfill(filePath, end) {
+    const lines = [];
+    const merged = new Map(); // merge key -> events counted from it on, in the newest line holding it
+    let count = 0;
+    this.historyStart = end;
     try {
-      const stat = fs.statSync(filePath);
-      if (stat.size <= this.fileSize) return;
+      for (const { line, offset } of readLinesBackward(filePath, end)) {
+        if (count >= this.depth) break;
+        lines.push(line);
+        this.historyStart = offset;
+        const events = [].concat(extractEvent(parseRecord(line)) || []);
+        if (this.history.unit === 'turns') {
+          count += events.filter(isTurnStart).length;
+          continue;
+        }
+        const shown = events.filter(e => e.type !== 'tool_result'); // results join their tool line
+        count += shown.length;
+        // A later chunk of a streamed message merges into this line, and the
+        // rest of its record goes with it (see _processLine): uncount them
+        const i = shown.findIndex(mergeKey);
+        if (i >= 0) {
+          const key = mergeKey(shown[i]);
+          count -= merged.get(key) || 0;
+          merged.set(key, shown.length - i);
+        }
+      }
+    } catch (e) {
+      // unreadable: show what was read
+    }
+    for (const line of lines.reverse()) {
+      this._processLine(line, true);
+    }
+  }
+
+  // Total the lines before the backfilled tail a chunk per tick, so a large
+  // file does not stall the UI; emits 'usage' once it is done
+  _scanUsage(filePath, end) {
+    if (end <= 0) return;
+    const scan = { offset: 0, chunk: USAGE_CHUNK };
+    this._usageScan = scan;
+
+    const step = () => {
+      if (this._usageScan !== scan) return; // switched files
+      try {
+        const { lines, offsets, offset } = readCompleteLines(filePath, scan.offset, Math.min(end, scan.offset + scan.chunk));
+        if (offset === scan.offset) scan.chunk *= 2; // a line longer than the chunk
+        scan.offset = offset;
+        // Older lines must not replace the newest message's model
+        const model = this.model;
+        lines.forEach((line, i) => {
+          const record = parseRecord(line);
+          if (!record) {
+            this._scanParseError(offsets[i], line);
+            return;
+          }
+          const events = extractEvent(record);
+          if (events) [].concat(events).forEach(e => this._trackUsage(e));
+        });
+        this.model = model || this.model;
+      } catch (e) {
+        return;
+      }
+      if (scan.offset < end) {
+        setImmediate(step);
+      } else {
+        this._usageScan = null;
+        this._emitUsage();
+      }
+    };
+    setImmediate(step);
+  }
 
-      const fd = fs.openSync(filePath, 'r');
-      const buffer = Buffer.alloc(stat.size - this.fileSize);
-      fs.readSync(fd, buffer, 0, buffer.length, this.fileSize);
-      fs.closeSync(fd);
+  // Remembered by offset: a deeper backfill (loadMore) reads the same line
+  // again and must not count it twice
+  _scanParseError(offset, line) {
+    const error = { offset, line: line.slice(0, 200) };
+    this._scanErrors.push(error);
+    if (offset >= this.historyStart) return;
+    this.stats.parseErrors++;
+    this.emit('parse-error', { sessionIndex: this.sessionIndex, line: error.line, stats: { ...this.stats } });
+  }
 
-      this.fileSize = stat.size;
-      const newContent = buffer.toString('utf8');
-      const lines = newContent.split('\n').filter(l => l.trim());
+  _readNewContent(filePath) {
+    try {
+      const stat = fs.statSync(filePath);
+      if (stat.ino !== this.inode || stat.size < this.offset) {
+        this._reloadFile(filePath);
+        return;
+      }
 
+      // Complete lines only, decoded whole: a line still being written stays
+      // in the file past `offset` until its newline lands
+      const { lines, offset } = readCompleteLines(filePath, this.offset, stat.size);
+      this.offset = offset;
       for (const line of lines) {
         this._processLine(line, false);
       }
     } catch (e) {
-      // ignore
+      // gone or unreadable for now; the next change retries
     }
   }
 
+  /**
+   * Find the Task that owns a sidechain record: follow parentUuid links,
+   * match a root prompt to its Task input, else fall back to the newest Task
+   */
+  _linkSidechain(record) {
+    let owner = this.sidechainOwners.get(record.parentUuid) || null;
+    let isRoot = false;
+
+    if (!owner && record.type === 'user' && !record.parentUuid) {
+      isRoot = true;
+      const prompt = promptText(record.message && record.message.content).trim();
+      const open = [...this.subagents.values()].filter(t => !t.linked);
+      const match = open.find(t => t.prompt.trim() === prompt) || open[open.length - 1];
+      if (match) {
+        match.linked = true;
+        owner = match.toolUseId;
+      }
+    }
+    if (!owner && this.subagents.size > 0) {
+      owner = [...this.subagents.keys()].pop();
+    }
+
+    if (owner && record.uuid) this.sidechainOwners.set(record.uuid, owner);
+    return { owner, isRoot };
+  }
+
+  // Fold a new sidechain event into its Task's token and tool counts
+  _countSubagent(stats, event) {
+    if (event.type === 'tool_use') stats.toolCount++;
+    if (event.messageId && event.usage) {
+      stats.messages.set(event.messageId, {
+        input: (event.usage.input_tokens || 0) + (event.usage.cache_read_input_tokens || 0)
+          + (event.usage.cache_creation_input_tokens || 0),
+        output: event.usage.output_tokens || 0,
+      });
+    }
+    let inputTokens = 0, outputTokens = 0;
+    for (const m of stats.messages.values()) {
+      inputTokens += m.input;
+      outputTokens += m.output;
+    }
+    return {
+      agentType: stats.agentType,
+      description: stats.description,
+      inputTokens,
+      outputTokens,
+      toolCount: stats.toolCount,
+    };
+  }
+
+  // Emit 'context' when the session moves to another directory or branch (or
+  // Claude Code version); history lines count too, so panels start labelled
+  _trackContext(context) {
+    if (!context) return;
+    const prev = this.context;
+    if (prev && prev.cwd === context.cwd && prev.gitBranch === context.gitBranch && prev.version === context.version) return;
+    this.context = context;
+    this.emit('context', { ...context, sessionIndex: this.sessionIndex });
+  }
+
+  // Remember an assistant event's usage; streaming chunks of a message repeat it
+  _trackUsage(event) {
+    if (!event || !event.messageId || !event.usage) return false;
+    this.sessionUsage.set(event.messageId, { model: event.model, usage: event.usage });
+    if (event.model && !event.isSidechain) this.model = event.model;
+    return true;
+  }
+
+  /**
+   * Emit cumulative token counts and estimated cost for the whole session,
+   * subagent messages included
+   */
+  _emitUsage() {
+    const totals = {
+      model: this.model,
+      inputTokens: 0,
+      outputTokens: 0,
+      cacheReadTokens: 0,
+      cacheWriteTokens: 0,
+      costUSD: 0,
+    };
+    for (const { model, usage } of this.sessionUsage.values()) {
+      totals.inputTokens += usage.input_tokens || 0;
+      totals.outputTokens += usage.output_tokens || 0;
+      totals.cacheReadTokens += usage.cache_read_input_tokens || 0;
+      totals.cacheWriteTokens += usage.cache_creation_input_tokens || 0;
+      totals.costUSD += costForUsage(model, usage);
+    }
+    this.emit('usage', totals);
+  }
+
   _processLine(line, isHistory) {
+    this.stats.lines++;
     const record = parseRecord(line);
-    if (!record) return;
+    if (!record) {
+      this.stats.parseErrors++;
+      this.emit('parse-error', { sessionIndex: this.sessionIndex, line: line.slice(0, 200), stats: { ...this.stats } });
+      return;
+    }
+
+    const link = record.isSidechain ? this._linkSidechain(record) : null;
+    if (!record.isSidechain) this._trackContext(extractContext(record));
 
     const events = extractEvent(record);
     if (!events) return;
@@ -207,10 +437,16 @@ class SessionWatcher extends EventEmitter {
     for (const event of eventList) {
       if (!event) continue;
 
-      // Merge assistant chunks with same messageId
-      if (event.messageId && (event.type === 'text' || event.type === 'thinking' || event.type === 'tool_use')) {
-        const key = `${event.messageId}:${event.type}:${event.toolName || ''}`;
+      if (this._trackUsage(event) && !isHistory) this._emitUsage();
 
+      if (link) {
+        event.parentToolUseId = link.owner;
+        if (link.isRoot && event.type === 'user') event.isAgentPrompt = true;
+      }
+
+      // Merge assistant chunks with same messageId
+      const key = mergeKey(event);
+      if (key) {
         if (this.messageStates.has(key)) {
           const existing = this.messageStates.get(key);
           // Update content (append new text)
@@ -237,9 +473,31 @@ class SessionWatcher extends EventEmitter {
         }
       }
 
+      // Elapsed time between a tool call and its result, from record timestamps
+      if (event.type === 'tool_use' && event.toolUseId) {
+        this.toolCalls.set(event.toolUseId, Date.parse(event.timestamp) || null);
+      } else if (event.type === 'tool_result' && event.toolUseId) {
+        const startedAt = this.toolCalls.get(event.toolUseId);
+        const endedAt = Date.parse(event.timestamp);
+        if (startedAt && endedAt) event.durationMs = Math.max(0, endedAt - startedAt);
+        this.toolCalls.delete(event.toolUseId);
+      }
+
+      if (event.subagent && event.toolUseId && !event.isSidechain) {
+        this.subagents.set(event.toolUseId, {
+          ...event.subagent,
+          toolUseId: event.toolUseId,
+          linked: false,
+          toolCount: 0,
+          messages: new Map(), // messageId -> { input, output }
+        });
+      } else if (link && link.owner && this.subagents.has(link.owner)) {
+        event.subagentStats = this._countSubagent(this.subagents.get(link.owner), event);
+      }
+
       this.emit('event', { ...event, sessionIndex: this.sessionIndex, isHistory, isUpdate: false });
     }
   }
 }
 
-module.exports = { SessionWatcher, findLatestJsonl };
+module.exports = { SessionWatcher, findLatestJsonl, parseHistory };